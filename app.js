@@ -1,10 +1,20 @@
+// Invalid settings (see node_handler/settings.js) stop the app before anything else loads them
+const { getSettings } = require('./node_handler/settings');
+const { ConfigError } = require('./node_handler/errors');
+try {
+  getSettings();
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  console.error(error.message);
+  process.exit(2);
+}
+
 const AutomationManager = require('./node_handler/automationManager');
 const { processProxies } = require('./proxy_handler/main');
 const { processKeysAndProxies } = require('./proxy_handler/assign_proxy');
-const { resetDB } = require('./db_utils');
+const { askQuestion, unlockKeyVault, resetData, runCli } = require('./cli');
 const fs = require('fs');
-const path = require('path');
-const readline = require('readline');
+const log4js = require('log4js');
 
 // Ensure required directories exist
 const directories = ['./output', './profiles', './db', './config'];
@@ -15,39 +25,19 @@ directories.forEach(dir => {
   }
 });
 
-// Helper function to ask a question and return a Promise for the answer
-function askQuestion(query) {
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-  });
-  return new Promise(resolve => rl.question(query, answer => {
-    rl.close();
-    resolve(answer.trim().toLowerCase());
-  }));
-}
-
 async function main() {
   try {
     // Ask if user wants to reset the DB
     const resetAnswer = await askQuestion('Có muốn xóa data cũ kh (profile, cache db) (y/n): ');
     if (resetAnswer === 'y' || resetAnswer === 'yes') {
-      console.log('Resetting the database...');
-      await resetDB();
-
-      // Delete the profiles folder and its contents
-      const profilesDir = path.join(__dirname, 'profiles');
-      if (fs.existsSync(profilesDir)) {
-        // Using fs.promises.rm ensures deletion works on both Windows and Linux
-        await fs.promises.rm(profilesDir, { recursive: true, force: true });
-        console.log(`Deleted profiles folder: ${profilesDir}`);
-      } else {
-        console.log(`Profiles folder not found at: ${profilesDir}`);
-      }
+      await resetData();
     } else {
       console.log('Skipping database reset.');
     }
 
+    // Encrypted keys (see `node app.js encrypt-keys`) need the vault passphrase
+    await unlockKeyVault("./config/key.txt");
+
     // Ask if user wants to process proxies and assign them to accounts
     const proxyAnswer = await askQuestion('Có check và gán proxy lại cho các account kh? (y/n): ');
     if (proxyAnswer === 'y' || proxyAnswer === 'yes') {
@@ -68,4 +58,11 @@ async function main() {
   }
 }
 
-main();
+// `node app.js <command> [options]` runs non-interactively (see cli.js); no arguments keeps the prompts
+if (process.argv.length > 2) {
+  runCli(process.argv.slice(2)).then(code => {
+    log4js.shutdown(() => process.exit(code));
+  });
+} else {
+  main();
+}
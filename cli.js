@@ -0,0 +1,670 @@
+// cli.js
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { parseArgs } = require('util');
+
+const AutomationManager = require('./node_handler/automationManager');
+const { processProxies } = require('./proxy_handler/main');
+const { processKeysAndProxies, STRATEGIES } = require('./proxy_handler/assign_proxy');
+const { resetDB } = require('./db_utils');
+const { initDB } = require('./init_db');
+const { getServices } = require('./node_handler/serviceRegistry');
+const { services: serviceConfigs, DASHBOARD_HOST, DASHBOARD_PORT } = require('./node_handler/config');
+const { requeueFailedTasks } = require('./node_handler/taskRetry');
+const { startDashboard } = require('./dashboard/dashboard');
+const { VaultLockedError } = require('./node_handler/errors');
+const {
+  unlockVault,
+  unlockVaultFromEnv,
+  isEncrypted,
+  isVaultFile,
+  sealKey,
+  openKey,
+  encryptKeyFile,
+  resolveKeyHash
+} = require('./node_handler/keyVault');
+const { checkServiceSelectors } = require('./node_handler/selectorHealth');
+const {
+  DEFAULT_REPORT_DAYS,
+  DEFAULT_STALL_HOURS,
+  DEFAULT_EARNER_LIMIT,
+  getDailyDeltas,
+  getStalledAccounts,
+  getEarners
+} = require('./node_handler/pointReports');
+const { getDailyBandwidth, getKeyBandwidth } = require('./node_handler/bandwidthUsage');
+const { CONFIG_FILE_ENV, getSettings, formatSettings } = require('./node_handler/settings');
+
+const EXIT = {
+  OK: 0,
+  ERROR: 1, // the command itself broke
+  USAGE: 2, // bad command line
+  FAILURES: 3 // finished, but some keys/proxies/tasks failed
+};
+
+const USAGE = `Usage: node app.js <command> [options]
+
+Commands:
+  check-proxies   test every proxy in the proxy file against each service
+  assign          assign checked proxies to the keys in the key file
+  run             launch browsers and automate every assigned key
+  status          print keys, proxies and task states from the cache DB
+  reset           drop the cache DB tables and delete browser profiles
+  retry-failed    put failed tasks back to pending (with a fresh retry budget)
+  points          daily point deltas, stalled keys and top/bottom earners
+  bandwidth       daily proxy traffic per key, proxy and service, and each key's budget
+  dashboard       serve the web dashboard and JSON API until Ctrl+C
+  encrypt-keys    encrypt the keys in the cache DB and write an encrypted copy of the key file
+  check-selectors open each service's pages and report selectors that no longer match
+  config          print the settings in effect and where each one came from
+
+Options:
+  --keys <file>           key file (default ./config/key.txt)
+  --proxies <file>        proxy file (default ./config/proxy.txt)
+  --service <a,b>         only these services
+  --key <a,b>             retry-failed: only tasks of these keys (raw keys or key#<hash> labels)
+                          check-selectors: also check the logged-in profile of this key
+                          bandwidth: the key whose --budget to set
+  --proxy <a,b>           retry-failed: only tasks on these proxies
+  --error <a,b>           retry-failed: only tasks that failed with these error types
+  --concurrency <n>       max browsers running at once
+  --strategy <name>       proxy assignment strategy: ${Object.keys(STRATEGIES).join(', ')}
+  --proxies-per-key <n>   proxies assigned to each key
+  --days <n>              points, bandwidth: days of daily deltas (default ${DEFAULT_REPORT_DAYS})
+  --hours <n>             points: window for stalled keys and earners (default ${DEFAULT_STALL_HOURS})
+  --limit <n>             points: how many top/bottom earners (default ${DEFAULT_EARNER_LIMIT})
+  --budget <MB|default>   bandwidth: daily traffic budget of --key, 0 for unlimited
+  --no-headless           show the browser windows
+  --monitor               run: supervise every key, re-checking it every CHECK_INTERVAL
+  --no-monitor            run: check each key once (the default unless monitor_mode is set)
+  --dashboard             run: also serve the web dashboard while running
+  --port <n>              dashboard port (default ${DASHBOARD_PORT})
+  -y, --yes               don't ask for confirmation
+  -h, --help              show this help
+
+Without a command, app.js asks interactively what to do.
+Encrypted keys are unlocked with KEY_VAULT_PASSPHRASE, or a passphrase prompt in a terminal.
+Settings are read from ./config/settings.yaml (or ${CONFIG_FILE_ENV}) and environment variables.
+Exit codes: 0 ok, 1 error, 2 bad usage or invalid settings, 3 finished with failures
+(points: stalled keys found, check-selectors: selectors missing or matched by a fallback,
+bandwidth: keys over their budget today)`;
+
+const DEFAULT_KEY_FILE = './config/key.txt';
+const DEFAULT_PROXY_FILE = './config/proxy.txt';
+
+/**
+ * Ask a question and return a Promise for the lower-cased answer.
+ */
+function askQuestion(query) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  return new Promise(resolve => rl.question(query, answer => {
+    rl.close();
+    resolve(answer.trim().toLowerCase());
+  }));
+}
+
+/**
+ * Ask for a passphrase without echoing what is typed.
+ */
+function askSecret(query) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    terminal: true
+  });
+  rl._writeToOutput = text => {
+    if (text.startsWith(query)) rl.output.write(text);
+  };
+  return new Promise(resolve => rl.question(query, answer => {
+    rl.close();
+    rl.output.write('\n');
+    resolve(answer);
+  }));
+}
+
+/**
+ * Whether the key file or the cache DB already hold encrypted keys.
+ */
+async function vaultInUse(keyFile) {
+  if (keyFile && fs.existsSync(keyFile) && isVaultFile(fs.readFileSync(keyFile, 'utf8'))) return true;
+
+  const db = await initDB();
+  try {
+    return Boolean(await db.get(`SELECT 1 FROM keys WHERE the_key LIKE 'enc:%' LIMIT 1`));
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * Unlock the key vault from KEY_VAULT_PASSPHRASE, or by asking for the passphrase in a terminal.
+ * Without `required`, only asks when there are encrypted keys to read.
+ * Resolves with whether the vault is unlocked; throws VaultLockedError if it can't be.
+ */
+async function unlockKeyVault(keyFile, { required = false } = {}) {
+  if (unlockVaultFromEnv()) return true;
+
+  const inUse = await vaultInUse(keyFile);
+  if (!required && !inUse) return false;
+  if (!process.stdin.isTTY) throw new VaultLockedError();
+
+  const passphrase = await askSecret('Key vault passphrase: ');
+  if (!passphrase) throw new VaultLockedError();
+  // A new vault gets its passphrase typed twice, a typo would lock the keys away
+  if (!inUse && await askSecret('Repeat the passphrase: ') !== passphrase) {
+    throw new Error('Passphrases do not match');
+  }
+  unlockVault(passphrase);
+  return true;
+}
+
+/**
+ * Reset the cache DB and delete every browser profile.
+ */
+async function resetData() {
+  console.log('Resetting the database...');
+  await resetDB();
+
+  // Delete the profiles folder and its contents
+  const profilesDir = path.join(__dirname, 'profiles');
+  if (fs.existsSync(profilesDir)) {
+    // Using fs.promises.rm ensures deletion works on both Windows and Linux
+    await fs.promises.rm(profilesDir, { recursive: true, force: true });
+    console.log(`Deleted profiles folder: ${profilesDir}`);
+  } else {
+    console.log(`Profiles folder not found at: ${profilesDir}`);
+  }
+}
+
+function parsePositiveInt(value, flag) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${flag} expects a positive integer, got "${value}"`);
+  }
+  return number;
+}
+
+function splitList(value) {
+  return value ? value.split(',').map(s => s.trim()).filter(Boolean) : null;
+}
+
+/**
+ * Turn argv (without node and script) into { command, options }. Throws on bad usage.
+ */
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      keys: { type: 'string', default: DEFAULT_KEY_FILE },
+      proxies: { type: 'string', default: DEFAULT_PROXY_FILE },
+      service: { type: 'string' },
+      key: { type: 'string' },
+      proxy: { type: 'string' },
+      error: { type: 'string' },
+      concurrency: { type: 'string' },
+      strategy: { type: 'string' },
+      'proxies-per-key': { type: 'string' },
+      days: { type: 'string' },
+      hours: { type: 'string' },
+      limit: { type: 'string' },
+      budget: { type: 'string' },
+      // Left unset unless passed, so headless / monitor_mode from the settings apply
+      'no-headless': { type: 'boolean' },
+      monitor: { type: 'boolean' },
+      'no-monitor': { type: 'boolean' },
+      dashboard: { type: 'boolean', default: false },
+      port: { type: 'string' },
+      yes: { type: 'boolean', short: 'y', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (positionals.length > 1) {
+    throw new Error(`Unexpected arguments: ${positionals.slice(1).join(' ')}`);
+  }
+
+  const services = splitList(values.service);
+  if (services) {
+    const registered = getServices();
+    const unknown = services.filter(name => !registered[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown service(s): ${unknown.join(', ')} (registered: ${Object.keys(registered).join(', ')})`);
+    }
+  }
+
+  let budget;
+  if (values.budget !== undefined) {
+    budget = values.budget === 'default' ? null : Number(values.budget);
+    if (budget !== null && !(Number.isInteger(budget) && budget >= 0)) {
+      throw new Error(`--budget expects megabytes or "default", got "${values.budget}"`);
+    }
+  }
+
+  if (values.monitor && values['no-monitor']) {
+    throw new Error('Pass either --monitor or --no-monitor, not both');
+  }
+
+  if (values.strategy && !STRATEGIES[values.strategy]) {
+    throw new Error(`Unknown strategy "${values.strategy}" (use ${Object.keys(STRATEGIES).join(', ')})`);
+  }
+
+  return {
+    command: positionals[0] || null,
+    help: values.help,
+    options: {
+      keys: values.keys,
+      proxies: values.proxies,
+      services,
+      keyFilter: splitList(values.key),
+      proxyFilter: splitList(values.proxy),
+      errorFilter: splitList(values.error),
+      concurrency: values.concurrency ? parsePositiveInt(values.concurrency, '--concurrency') : undefined,
+      strategy: values.strategy,
+      proxiesPerKey: values['proxies-per-key']
+        ? parsePositiveInt(values['proxies-per-key'], '--proxies-per-key')
+        : undefined,
+      days: values.days ? parsePositiveInt(values.days, '--days') : DEFAULT_REPORT_DAYS,
+      hours: values.hours ? parsePositiveInt(values.hours, '--hours') : DEFAULT_STALL_HOURS,
+      limit: values.limit ? parsePositiveInt(values.limit, '--limit') : DEFAULT_EARNER_LIMIT,
+      budget,
+      headless: values['no-headless'] ? false : undefined,
+      monitor: values.monitor || (values['no-monitor'] ? false : undefined),
+      dashboard: values.dashboard,
+      port: values.port ? parsePositiveInt(values.port, '--port') : DASHBOARD_PORT,
+      yes: values.yes
+    }
+  };
+}
+
+// ─── COMMANDS ─────────────────────────────────────────────────────────────
+
+async function checkProxiesCommand(options) {
+  if (!fs.existsSync(options.proxies)) {
+    console.error(`Proxy file not found: ${options.proxies}`);
+    return EXIT.USAGE;
+  }
+
+  const results = await processProxies(options.proxies, options.services);
+  if (!results) return EXIT.ERROR;
+
+  const healthy = results.filter(r => r.success.length > 0 && r.fail.length === 0);
+  console.log(`Checked ${results.length} proxies: ${healthy.length} passed every service`);
+  return healthy.length > 0 ? EXIT.OK : EXIT.FAILURES;
+}
+
+async function assignCommand(options) {
+  if (!fs.existsSync(options.keys)) {
+    console.error(`Key file not found: ${options.keys}`);
+    return EXIT.USAGE;
+  }
+
+  await unlockKeyVault(options.keys);
+  const assignments = await processKeysAndProxies(options.keys, './output', {
+    strategy: options.strategy,
+    proxiesPerKey: options.proxiesPerKey
+  });
+  if (!assignments) return EXIT.ERROR;
+
+  const unassigned = assignments.filter(k => k.proxies.length === 0);
+  console.log(`Assigned proxies to ${assignments.length - unassigned.length}/${assignments.length} keys`);
+  return unassigned.length === 0 ? EXIT.OK : EXIT.FAILURES;
+}
+
+async function runCommand(options) {
+  await unlockKeyVault(null);
+  const manager = new AutomationManager({
+    monitor: options.monitor,
+    concurrency: options.concurrency,
+    services: options.services,
+    headless: options.headless
+  });
+
+  const dashboard = options.dashboard ? await startDashboard(manager, { port: options.port }) : null;
+  let summary;
+  try {
+    summary = await manager.run();
+  } finally {
+    if (dashboard) dashboard.close();
+  }
+  if (!summary) return EXIT.ERROR;
+
+  console.log(`Tasks: ${summary.success} success, ${summary.failed} failed, ${summary.pending} pending, ${summary.interrupted} interrupted`);
+  return summary.failed > 0 ? EXIT.FAILURES : EXIT.OK;
+}
+
+async function statusCommand(options) {
+  const db = await initDB();
+  try {
+    const serviceFilter = options.services
+      ? `WHERE service IN (${options.services.map(() => '?').join(', ')})`
+      : '';
+    const params = options.services || [];
+
+    const { keys } = await db.get('SELECT COUNT(*) AS keys FROM keys');
+    const { assigned } = await db.get('SELECT COUNT(DISTINCT key_id) AS assigned FROM keys_proxies');
+    const { proxies } = await db.get('SELECT COUNT(*) AS proxies FROM filtered_proxies');
+    const { healthy } = await db.get(`SELECT COUNT(*) AS healthy FROM filtered_proxies WHERE fail = '[]'`);
+    console.log(`Keys: ${keys} (${assigned} with a proxy)`);
+    console.log(`Proxies: ${proxies} checked, ${healthy} passed every service`);
+
+    const tasks = await db.all(
+      `SELECT service, state, COUNT(*) AS count, SUM(point) AS points
+         FROM task_monitoring ${serviceFilter}
+        GROUP BY service, state
+        ORDER BY service, state`,
+      params
+    );
+    if (tasks.length === 0) {
+      console.log('Tasks: none yet');
+    } else {
+      console.log('Tasks:');
+      console.table(tasks);
+    }
+    return EXIT.OK;
+  } finally {
+    await db.close();
+  }
+}
+
+async function resetCommand(options) {
+  if (!options.yes) {
+    if (!process.stdin.isTTY) {
+      console.error('Refusing to reset without --yes when not running in a terminal');
+      return EXIT.USAGE;
+    }
+    const answer = await askQuestion('Delete the cache DB and every browser profile? (y/n): ');
+    if (answer !== 'y' && answer !== 'yes') {
+      console.log('Reset cancelled.');
+      return EXIT.OK;
+    }
+  }
+
+  await resetData();
+  return EXIT.OK;
+}
+
+async function retryFailedCommand(options) {
+  const db = await initDB();
+  try {
+    const tasks = await requeueFailedTasks(db, {
+      keys: options.keyFilter,
+      proxies: options.proxyFilter,
+      services: options.services,
+      errors: options.errorFilter
+    });
+    console.log(`Requeued ${tasks.length} failed task(s)`);
+    return EXIT.OK;
+  } finally {
+    await db.close();
+  }
+}
+
+async function pointsCommand(options) {
+  const db = await initDB();
+  try {
+    const { days, hours, limit, services } = options;
+
+    const printTable = (title, rows) => {
+      console.log(title);
+      if (rows.length === 0) {
+        console.log('  none');
+      } else {
+        console.table(rows);
+      }
+    };
+
+    printTable(`Daily point deltas (last ${days} days):`, await getDailyDeltas(db, { days, services }));
+    printTable(`Top earners (last ${hours}h):`, await getEarners(db, { hours, limit, services }));
+    printTable(`Bottom earners (last ${hours}h):`, await getEarners(db, { hours, limit, services, bottom: true }));
+
+    const stalled = await getStalledAccounts(db, { hours, services });
+    printTable(`Stalled keys (no points for ${hours}h):`, stalled);
+    return stalled.length > 0 ? EXIT.FAILURES : EXIT.OK;
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * Print daily traffic and per-key budgets, or with --key and --budget set that key's budget
+ * (MB per UTC day, 0 for unlimited, "default" for BANDWIDTH_BUDGET_MB).
+ */
+async function bandwidthCommand(options) {
+  const db = await initDB();
+  try {
+    if (options.budget !== undefined) {
+      if (!options.keyFilter || options.keyFilter.length !== 1) {
+        console.error('--budget needs a single --key');
+        return EXIT.USAGE;
+      }
+      const keyHash = resolveKeyHash(options.keyFilter[0]);
+      const { changes } = await db.run(
+        `UPDATE keys SET bandwidth_budget_mb = ? WHERE key_hash = ?`,
+        [options.budget, keyHash]
+      );
+      if (changes === 0) {
+        console.error(`No key matches ${options.keyFilter[0]}`);
+        return EXIT.USAGE;
+      }
+      console.log(`Daily bandwidth budget of key#${keyHash}: ${options.budget === null ? 'default' : `${options.budget} MB`}`);
+    }
+
+    const daily = await getDailyBandwidth(db, { days: options.days, services: options.services });
+    console.log(`Daily proxy traffic (last ${options.days} days, MB):`);
+    if (daily.length === 0) {
+      console.log('  none');
+    } else {
+      console.table(daily);
+    }
+    const blocked = daily.reduce((sum, row) => sum + row.blocked, 0);
+    if (blocked > 0) {
+      const savedMB = daily.reduce((sum, row) => sum + row.mb_saved_est, 0);
+      console.log(`Blocked ${blocked} request(s), about ${savedMB.toFixed(2)} MB saved (estimated)`);
+    }
+
+    const keys = await getKeyBandwidth(db, { days: options.days });
+    console.log('Per key (MB):');
+    if (keys.length === 0) {
+      console.log('  none');
+    } else {
+      console.table(keys);
+    }
+    return keys.some(k => k.over_budget) ? EXIT.FAILURES : EXIT.OK;
+  } finally {
+    await db.close();
+  }
+}
+
+async function dashboardCommand(options) {
+  const manager = new AutomationManager();
+  const server = await startDashboard(manager, { port: options.port });
+  console.log(`Dashboard at http://${DASHBOARD_HOST}:${server.address().port} (Ctrl+C to stop)`);
+
+  await new Promise(resolve => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+  server.close();
+  const db = await manager.getDB();
+  await db.close();
+  return EXIT.OK;
+}
+
+/**
+ * Encrypt every plaintext key in the cache DB in place, and write the key file
+ * encrypted to <keys>.vault. The plaintext key file is left for the user to delete.
+ */
+async function encryptKeysCommand(options) {
+  await unlockKeyVault(options.keys, { required: true });
+
+  const db = await initDB();
+  let sealed = 0;
+  try {
+    const rows = await db.all(`SELECT id, the_key FROM keys`);
+    for (const row of rows) {
+      if (isEncrypted(row.the_key)) {
+        // Fails on a wrong passphrase before anything is encrypted with it
+        openKey(row.the_key);
+        continue;
+      }
+      await db.run(`UPDATE keys SET the_key = ? WHERE id = ?`, [sealKey(row.the_key), row.id]);
+      sealed++;
+    }
+  } finally {
+    await db.close();
+  }
+  console.log(`Encrypted ${sealed} key(s) in the cache DB`);
+
+  if (!fs.existsSync(options.keys)) {
+    console.log(`Key file not found: ${options.keys}, nothing else to encrypt`);
+    return EXIT.OK;
+  }
+  const content = fs.readFileSync(options.keys, 'utf8');
+  if (isVaultFile(content)) {
+    console.log(`${options.keys} is already encrypted`);
+    return EXIT.OK;
+  }
+
+  const vaultFile = `${options.keys}.vault`;
+  fs.writeFileSync(vaultFile, encryptKeyFile(content), { mode: 0o600 });
+  console.log(`Wrote ${vaultFile}. Use it with --keys ${vaultFile}, then delete ${options.keys}`);
+  return EXIT.OK;
+}
+
+/**
+ * Check every selector of the chosen services on a fresh (logged-out) profile, and on the
+ * profile of --key (logged in) when given. A selector passes if either profile shows it.
+ */
+async function checkSelectorsCommand(options) {
+  if (options.keyFilter && options.keyFilter.length > 1) {
+    console.error('check-selectors takes a single --key');
+    return EXIT.USAGE;
+  }
+  const services = (options.services || Object.keys(getServices())).filter(name => serviceConfigs[name]);
+  const manager = new AutomationManager({ headless: options.headless, services });
+
+  const profiles = [{ name: 'fresh profile', path: path.resolve('./profiles/selector-check'), proxy: null, temporary: true }];
+  if (options.keyFilter) {
+    const db = await manager.getDB();
+    const key = await db.get(
+      `SELECT k.key_hash, kp.proxy FROM keys k JOIN keys_proxies kp ON kp.key_id = k.id WHERE k.key_hash = ?`,
+      [resolveKeyHash(options.keyFilter[0])]
+    );
+    if (!key) {
+      console.error(`No key with a proxy matches ${options.keyFilter[0]}`);
+      await db.close();
+      return EXIT.USAGE;
+    }
+    profiles.push({ name: `key#${key.key_hash}`, path: manager.getProfilePath(key.key_hash, key.proxy), proxy: key.proxy });
+  }
+
+  const results = {};
+  try {
+    for (const profile of profiles) {
+      console.log(`Checking selectors on the ${profile.name}...`);
+      let driver;
+      try {
+        driver = await manager.initializeDriver(profile.path, profile.proxy, services);
+        for (const service of services) {
+          for (const row of await checkServiceSelectors(driver, service)) {
+            const id = `${row.service}.${row.selector}`;
+            const best = results[id];
+            // ok beats fallback beats missing
+            if (!best || best.status === 'missing' || (best.status === 'fallback' && row.status === 'ok')) {
+              results[id] = { ...row, profile: row.status === 'missing' ? null : profile.name };
+            }
+          }
+        }
+      } finally {
+        await manager.quitDriver(driver);
+        if (profile.temporary) fs.rmSync(profile.path, { recursive: true, force: true });
+      }
+    }
+  } finally {
+    await manager.gateway.stop();
+    if (manager.db) await manager.db.close();
+  }
+
+  const rows = Object.values(results);
+  console.table(rows);
+  const drifted = rows.filter(r => r.status === 'fallback');
+  const missing = rows.filter(r => r.status === 'missing');
+  for (const row of drifted) {
+    console.warn(`${row.service}.${row.selector}: first selector broke, fallback #${row.fallback} still matches`);
+  }
+  for (const row of missing) {
+    console.warn(`${row.service}.${row.selector}: not found on any page`);
+  }
+  console.log(`Selectors: ${rows.length - drifted.length - missing.length} ok, ${drifted.length} on a fallback, ${missing.length} missing`);
+  return drifted.length + missing.length > 0 ? EXIT.FAILURES : EXIT.OK;
+}
+
+async function configCommand() {
+  const loaded = getSettings();
+  console.log(`# Settings file: ${loaded.file || 'none'}`);
+  process.stdout.write(formatSettings(loaded));
+  return EXIT.OK;
+}
+
+const COMMANDS = {
+  'check-proxies': checkProxiesCommand,
+  assign: assignCommand,
+  run: runCommand,
+  status: statusCommand,
+  reset: resetCommand,
+  'retry-failed': retryFailedCommand,
+  points: pointsCommand,
+  bandwidth: bandwidthCommand,
+  dashboard: dashboardCommand,
+  'encrypt-keys': encryptKeysCommand,
+  'check-selectors': checkSelectorsCommand,
+  config: configCommand
+};
+
+/**
+ * Run one CLI invocation and resolve with its exit code.
+ */
+async function runCli(argv) {
+  let parsed;
+  try {
+    parsed = parseCliArgs(argv);
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    return EXIT.USAGE;
+  }
+
+  if (parsed.help) {
+    console.log(USAGE);
+    return EXIT.OK;
+  }
+
+  const command = COMMANDS[parsed.command];
+  if (!command) {
+    console.error(parsed.command ? `Unknown command: ${parsed.command}` : 'Missing command');
+    console.error(USAGE);
+    return EXIT.USAGE;
+  }
+
+  try {
+    return await command(parsed.options);
+  } catch (error) {
+    console.error(`${parsed.command} failed: ${error.message}`);
+    return EXIT.ERROR;
+  }
+}
+
+module.exports = {
+  EXIT,
+  COMMANDS,
+  askQuestion,
+  unlockKeyVault,
+  resetData,
+  parseCliArgs,
+  runCli
+};
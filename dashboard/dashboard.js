@@ -0,0 +1,335 @@
+// dashboard/dashboard.js
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { DASHBOARD_HOST, DASHBOARD_PORT, logger } = require('../node_handler/config');
+const { getServices } = require('../node_handler/serviceRegistry');
+const { requeueFailedTasks } = require('../node_handler/taskRetry');
+const { getDailyDeltas, getStalledAccounts, getEarners } = require('../node_handler/pointReports');
+const { getDailyBandwidth, getKeyBandwidth } = require('../node_handler/bandwidthUsage');
+const { normalizeProxy, maskProxy } = require('../proxy_handler/proxy_parser');
+const { keyLabel } = require('../node_handler/keyVault');
+
+const INDEX_PATH = path.join(__dirname, 'index.html');
+const LOOPBACK_NAMES = ['127.0.0.1', 'localhost', '[::1]'];
+const ANY_HOST = ['0.0.0.0', '::', ''];
+
+/**
+ * Error with the HTTP status to answer with.
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Answer with `body` as JSON. Every `proxy` field is masked on the way out, so the API never
+ * hands out proxy passwords.
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, (name, value) => (name === 'proxy' && typeof value === 'string' ? maskProxy(value) : value)));
+}
+
+/**
+ * Parse a JSON request body. Anything not sent as application/json is refused: a page of
+ * another site can only send that cross-origin after a CORS preflight, which is never answered.
+ */
+function readJsonBody(req) {
+  const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (type !== 'application/json') {
+    return Promise.reject(new HttpError(415, 'Request body must be sent as Content-Type: application/json'));
+  }
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      if (!raw) return resolve({});
+      try {
+        resolve(JSON.parse(raw));
+      } catch (error) {
+        reject(new HttpError(400, 'Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * host:port values a request may name in its Host and Origin headers: the address the dashboard
+ * listens on (any loopback name when that is loopback), or null for any when it listens on every
+ * interface.
+ */
+function ownHosts(host, port) {
+  if (ANY_HOST.includes(host)) return null;
+  const names = LOOPBACK_NAMES.includes(host) || host === '::1'
+    ? LOOPBACK_NAMES
+    : [host.includes(':') ? `[${host}]` : host];
+  return new Set(names.map(name => `${name}:${port}`));
+}
+
+/**
+ * Refuse requests sent from anywhere but a page of this dashboard: the Host must be the
+ * dashboard's own (against DNS rebinding) and so must the Origin, when the browser sends one.
+ */
+function checkOrigin(req, hosts) {
+  const { host, origin } = req.headers;
+  if (hosts && !hosts.has(host)) {
+    throw new HttpError(403, `Host ${host} is not this dashboard`);
+  }
+  if (origin === undefined) return;
+
+  let originHost = null;
+  try {
+    originHost = new URL(origin).host;
+  } catch (error) {
+    // "null" and other opaque origins
+  }
+  if (originHost !== host) {
+    throw new HttpError(403, `Cross-origin request from ${origin} refused`);
+  }
+}
+
+function positiveInt(value, fallback) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+}
+
+// ─── READ ENDPOINTS ───────────────────────────────────────────────────────
+
+async function listKeys(db) {
+  const rows = await db.all(`
+    SELECT k.id, k.key_hash, kp.proxy,
+           (SELECT GROUP_CONCAT(service) FROM key_services WHERE key_id = k.id) AS services
+      FROM keys k
+      LEFT JOIN keys_proxies kp ON kp.key_id = k.id
+     ORDER BY k.id
+  `);
+  const tasks = await db.all(`SELECT key_id, service, state, point FROM task_monitoring`);
+
+  return rows.map(row => ({
+    id: row.id,
+    key: keyLabel(row.key_hash),
+    proxy: row.proxy,
+    services: row.services ? row.services.split(',') : [],
+    tasks: tasks
+      .filter(t => t.key_id === row.id)
+      .map(({ service, state, point }) => ({ service, state, point }))
+  }));
+}
+
+async function listTasks(db, query) {
+  const clauses = [];
+  const params = [];
+  for (const column of ['state', 'service']) {
+    if (query.get(column)) {
+      clauses.push(`t.${column} = ?`);
+      params.push(query.get(column));
+    }
+  }
+  const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+  return db.all(
+    `SELECT t.id, t.key_id, 'key#' || k.key_hash AS key, t.proxy, t.service, t.state, t.point,
+            t.retry_count, t.last_error, t.last_error_message, t.last_artifacts, t.next_retry_at, t.last_updated
+       FROM task_monitoring t
+       JOIN keys k ON k.id = t.key_id
+       ${where}
+      ORDER BY t.last_updated DESC`,
+    params
+  );
+}
+
+async function listProxies(db) {
+  const rows = await db.all(`
+    SELECT fp.proxy, fp.success, fp.fail, ps.score, ps.success_rate, ps.avg_latency_ms,
+           ps.exit_ip, ps.updated_at, kp.key_id
+      FROM filtered_proxies fp
+      LEFT JOIN proxy_scores ps ON ps.proxy = fp.proxy
+      LEFT JOIN keys_proxies kp ON kp.proxy = fp.proxy
+     ORDER BY COALESCE(ps.score, 0) DESC
+  `);
+  return rows.map(row => ({
+    ...row,
+    success: JSON.parse(row.success || '[]'),
+    fail: JSON.parse(row.fail || '[]')
+  }));
+}
+
+async function pointsSummary(db, query) {
+  const days = positiveInt(query.get('days'), undefined);
+  const hours = positiveInt(query.get('hours'), undefined);
+  const limit = positiveInt(query.get('limit'), undefined);
+  return {
+    daily: await getDailyDeltas(db, { days }),
+    top: await getEarners(db, { hours, limit }),
+    bottom: await getEarners(db, { hours, limit, bottom: true }),
+    stalled: await getStalledAccounts(db, { hours })
+  };
+}
+
+async function bandwidthSummary(db, query) {
+  const days = positiveInt(query.get('days'), undefined);
+  return {
+    daily: await getDailyBandwidth(db, { days }),
+    keys: await getKeyBandwidth(db, { days })
+  };
+}
+
+// ─── ACTIONS ──────────────────────────────────────────────────────────────
+
+async function getKey(db, id) {
+  const key = await db.get(
+    `SELECT k.id, k.key_hash, kp.proxy
+       FROM keys k
+       LEFT JOIN keys_proxies kp ON kp.key_id = k.id
+      WHERE k.id = ?`,
+    [id]
+  );
+  if (!key) throw new HttpError(404, `No key with id ${id}`);
+  return key;
+}
+
+/**
+ * Put the key's failed tasks (optionally only `service`) back to pending.
+ */
+async function requeueKey(db, id, body) {
+  const key = await getKey(db, id);
+  const tasks = await requeueFailedTasks(db, {
+    keys: [key.key_hash],
+    services: body.service ? [body.service] : null
+  });
+  return { requeued: tasks.length };
+}
+
+/**
+ * Move the key off `body.from` (default: its first proxy) to `body.proxy`, or to the best
+ * healthy spare proxy when none is given. `body.from` may be the masked proxy the API lists.
+ * A running browser of the key on that proxy switches through the proxy gateway right away.
+ */
+async function swapProxy(db, manager, id, body) {
+  const key = await getKey(db, id);
+  if (!key.proxy) throw new HttpError(409, `Key ${id} has no proxy to swap`);
+  if (body.from) {
+    const proxies = (await db.all(`SELECT proxy FROM keys_proxies WHERE key_id = ?`, [id])).map(row => row.proxy);
+    const assigned = proxies.includes(body.from) ? body.from : proxies.find(proxy => maskProxy(proxy) === body.from);
+    if (!assigned) throw new HttpError(404, `Key ${id} has no proxy ${maskProxy(body.from)}`);
+    key.proxy = assigned;
+  }
+
+  const services = (await db.all(`SELECT service FROM task_monitoring WHERE key_id = ? AND proxy = ?`, [id, key.proxy]))
+    .map(row => row.service);
+
+  let target = null;
+  if (body.proxy) {
+    try {
+      target = normalizeProxy(body.proxy);
+    } catch (error) {
+      throw new HttpError(400, `Invalid proxy: ${error.message}`);
+    }
+    const owner = await db.get(`SELECT key_id FROM keys_proxies WHERE proxy = ?`, [target]);
+    if (owner) throw new HttpError(409, `Proxy ${maskProxy(target)} is already assigned to key ${owner.key_id}`);
+  } else {
+    target = await manager.findSpareProxy(services);
+    if (!target) throw new HttpError(409, 'No healthy spare proxy available');
+  }
+
+  const kp = { id: key.id, key_hash: key.key_hash, proxy: key.proxy };
+  const newProxy = await manager.failoverProxy(kp, services, 'manual swap from dashboard', target);
+  return { from: maskProxy(key.proxy), to: maskProxy(newProxy) };
+}
+
+/**
+ * Pause (or resume) a service for every key, or only for `body.key` (a key id).
+ * Paused tasks are skipped by new sessions and dropped by running monitors.
+ */
+async function setServicePaused(db, service, paused, body) {
+  if (!getServices()[service]) throw new HttpError(404, `Unknown service ${service}`);
+
+  const params = [paused ? 'paused' : 'pending', service];
+  let keyFilter = '';
+  if (body.key !== undefined) {
+    keyFilter = 'AND key_id = ?';
+    params.push(body.key);
+  }
+
+  const { changes } = await db.run(
+    `UPDATE task_monitoring
+        SET state = ?, last_updated = CURRENT_TIMESTAMP
+      WHERE service = ? ${keyFilter} AND state ${paused ? "!= 'paused'" : "= 'paused'"}`,
+    params
+  );
+  logger.info(`[DASHBOARD] ${paused ? 'Paused' : 'Resumed'} ${changes} ${service} task(s)`);
+  return { [paused ? 'paused' : 'resumed']: changes };
+}
+
+// ─── ROUTING ──────────────────────────────────────────────────────────────
+
+const ROUTES = [
+  ['GET', /^\/api\/keys$/, ({ db }) => listKeys(db)],
+  ['GET', /^\/api\/tasks$/, ({ db, query }) => listTasks(db, query)],
+  ['GET', /^\/api\/proxies$/, ({ db }) => listProxies(db)],
+  ['GET', /^\/api\/points$/, ({ db, query }) => pointsSummary(db, query)],
+  ['GET', /^\/api\/sessions$/, ({ manager }) => manager.getSessionStats()],
+  ['GET', /^\/api\/bandwidth$/, ({ db, query }) => bandwidthSummary(db, query)],
+  ['POST', /^\/api\/keys\/(\d+)\/requeue$/, ({ db, params, body }) => requeueKey(db, Number(params[0]), body)],
+  ['POST', /^\/api\/keys\/(\d+)\/swap-proxy$/, ({ db, manager, params, body }) => swapProxy(db, manager, Number(params[0]), body)],
+  ['POST', /^\/api\/services\/([\w-]+)\/pause$/, ({ db, params, body }) => setServicePaused(db, params[0], true, body)],
+  ['POST', /^\/api\/services\/([\w-]+)\/resume$/, ({ db, params, body }) => setServicePaused(db, params[0], false, body)]
+];
+
+async function handleRequest(req, res, manager, hosts) {
+  const url = new URL(req.url, 'http://localhost');
+
+  try {
+    // Reads too: the API lists keys and proxies
+    checkOrigin(req, hosts);
+
+    if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/index.html')) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      fs.createReadStream(INDEX_PATH).pipe(res);
+      return;
+    }
+
+    for (const [method, pattern, handler] of ROUTES) {
+      const match = pattern.exec(url.pathname);
+      if (!match) continue;
+      if (req.method !== method) throw new HttpError(405, `${req.method} not allowed on ${url.pathname}`);
+
+      const body = method === 'POST' ? await readJsonBody(req) : {};
+      const db = await manager.getDB();
+      const result = await handler({ db, manager, params: match.slice(1), query: url.searchParams, body });
+      sendJson(res, 200, result);
+      return;
+    }
+    throw new HttpError(404, `No route for ${url.pathname}`);
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) {
+      logger.error(`[DASHBOARD] ${req.method} ${url.pathname} failed: ${error.message}`);
+    }
+    sendJson(res, status, { error: error.message });
+  }
+}
+
+/**
+ * Serve the dashboard and JSON API. `manager` is the AutomationManager whose DB connection
+ * and proxy failover the actions go through (the running one when started with `run --dashboard`).
+ * Resolves with the listening http.Server.
+ */
+function startDashboard(manager, { host = DASHBOARD_HOST, port = DASHBOARD_PORT } = {}) {
+  let hosts = null;
+  const server = http.createServer((req, res) => handleRequest(req, res, manager, hosts));
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      hosts = ownHosts(host, server.address().port);
+      logger.info(`[DASHBOARD] Listening on http://${host}:${server.address().port}`);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = { startDashboard };
@@ -13,13 +13,13 @@ async function resetDB() {
     // Disable foreign key constraints (SQLite specific)
     await db.exec('PRAGMA foreign_keys = OFF;');
     
-    // Drop tables in safe order
-    await db.exec(`
-      DROP TABLE IF EXISTS accounts_proxies;
-      DROP TABLE IF EXISTS filtered_proxies;
-      DROP TABLE IF EXISTS accounts;
-      DROP TABLE IF EXISTS task_monitoring;
-    `);
+    // Drop every table, schema_version included, so initDB() rebuilds the schema from scratch
+    const tables = await db.all(
+      `SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'`
+    );
+    for (const { name } of tables) {
+      await db.exec(`DROP TABLE IF EXISTS "${name}"`);
+    }
 
     // Re-enable foreign keys
     await db.exec('PRAGMA foreign_keys = ON;');
@@ -2,48 +2,26 @@
 const sqlite3 = require('sqlite3');
 const { open } = require('sqlite');
 const path = require('path');
+const { migrate } = require('./migrations');
 
 // Change the DB file name/path as needed
 const DB_PATH = path.resolve(__dirname, './db/cache.db');
 
-async function initDB() {
+/**
+ * Open the cache DB, or another SQLite file (":memory:" for a throwaway in-memory DB).
+ */
+async function initDB(filename = DB_PATH) {
   // Open (or create) the database
   const db = await open({
-    filename: DB_PATH,
+    filename,
     driver: sqlite3.Database
   });
 
-  // Create tables if they don't exist
-  await db.exec(`
-    CREATE TABLE IF NOT EXISTS keys (
-      id INTEGER PRIMARY KEY,
-      the_key TEXT UNIQUE
-    );
+  // Foreign keys are off by default in SQLite and have to be enabled per connection
+  await db.exec('PRAGMA foreign_keys = ON;');
 
-    CREATE TABLE IF NOT EXISTS keys_proxies (
-      key_id INTEGER,
-      proxy TEXT UNIQUE,
-      FOREIGN KEY(key_id) REFERENCES keys(id)
-    );
-
-    CREATE TABLE IF NOT EXISTS filtered_proxies (
-      proxy   TEXT UNIQUE PRIMARY KEY,
-      success TEXT NOT NULL,
-      fail    TEXT NOT NULL
-    );
-
-    CREATE TABLE IF NOT EXISTS task_monitoring (
-      id INTEGER PRIMARY KEY,
-      key_id INTEGER NOT NULL,
-      proxy TEXT NOT NULL,
-      service TEXT NOT NULL,
-      state TEXT NOT NULL DEFAULT 'pending',
-      retry_count INTEGER NOT NULL DEFAULT 0,
-      point INTEGER NOT NULL DEFAULT 0,
-      last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY(key_id) REFERENCES accounts(id)
-    );
-  `);
+  // Bring the schema up to date (see migrations.js)
+  await migrate(db);
 
   return db;
 }
@@ -60,4 +38,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { initDB };
+module.exports = { DB_PATH, initDB };
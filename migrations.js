@@ -0,0 +1,264 @@
+// migrations.js
+//
+// Forward-only schema migrations. initDB() applies every migration whose version is
+// above the one recorded in schema_version. To change the schema, append a new entry;
+// never edit one that has shipped.
+
+const { keyFingerprint } = require('./node_handler/keyVault');
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'baseline schema',
+    // Databases created before schema_version existed may already have any of these tables
+    async up(db) {
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS keys (
+          id INTEGER PRIMARY KEY,
+          the_key TEXT UNIQUE
+        );
+
+        CREATE TABLE IF NOT EXISTS keys_proxies (
+          key_id INTEGER,
+          proxy TEXT UNIQUE,
+          FOREIGN KEY(key_id) REFERENCES keys(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS key_services (
+          key_id INTEGER NOT NULL,
+          service TEXT NOT NULL,
+          UNIQUE(key_id, service),
+          FOREIGN KEY(key_id) REFERENCES keys(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS filtered_proxies (
+          proxy   TEXT UNIQUE PRIMARY KEY,
+          success TEXT NOT NULL,
+          fail    TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS proxy_checks (
+          id INTEGER PRIMARY KEY,
+          proxy TEXT NOT NULL,
+          service TEXT NOT NULL,
+          ok INTEGER NOT NULL,
+          status_code INTEGER,
+          latency_ms INTEGER,
+          exit_ip TEXT,
+          error_class TEXT,
+          checked_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS proxy_scores (
+          proxy TEXT PRIMARY KEY,
+          score REAL NOT NULL DEFAULT 0,
+          success_rate REAL NOT NULL DEFAULT 0,
+          avg_latency_ms INTEGER,
+          exit_ip TEXT,
+          checks INTEGER NOT NULL DEFAULT 0,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS proxy_failovers (
+          id INTEGER PRIMARY KEY,
+          key_id INTEGER NOT NULL,
+          old_proxy TEXT NOT NULL,
+          new_proxy TEXT,
+          reason TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY(key_id) REFERENCES keys(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS task_monitoring (
+          id INTEGER PRIMARY KEY,
+          key_id INTEGER NOT NULL,
+          proxy TEXT NOT NULL,
+          service TEXT NOT NULL,
+          state TEXT NOT NULL DEFAULT 'pending',
+          retry_count INTEGER NOT NULL DEFAULT 0,
+          point INTEGER NOT NULL DEFAULT 0,
+          last_error TEXT,
+          last_error_message TEXT,
+          next_retry_at DATETIME,
+          last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY(key_id) REFERENCES keys(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS point_readings (
+          id INTEGER PRIMARY KEY,
+          key_id INTEGER NOT NULL,
+          proxy TEXT NOT NULL,
+          service TEXT NOT NULL,
+          point INTEGER NOT NULL,
+          recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY(key_id) REFERENCES keys(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_point_readings_key_service
+          ON point_readings (key_id, service, recorded_at);
+      `);
+
+      // Columns added after the table first shipped; CREATE TABLE IF NOT EXISTS won't add them
+      await addColumnIfMissing(db, 'task_monitoring', 'last_error', 'TEXT');
+      await addColumnIfMissing(db, 'task_monitoring', 'last_error_message', 'TEXT');
+      await addColumnIfMissing(db, 'task_monitoring', 'next_retry_at', 'DATETIME');
+    }
+  },
+  {
+    version: 2,
+    name: 'task_monitoring references keys',
+    // Databases created before schema_version existed have the task_monitoring key_id foreign
+    // key pointing at an "accounts" table that never existed; SQLite can only change it by
+    // rebuilding the table (a no-op on databases created by migration 1). Rows of keys that no longer exist are dropped on the way, here and
+    // in every other table referencing keys, so foreign key enforcement can be switched on.
+    async up(db) {
+      await db.exec(`
+        DELETE FROM keys_proxies WHERE key_id NOT IN (SELECT id FROM keys);
+        DELETE FROM key_services WHERE key_id NOT IN (SELECT id FROM keys);
+        DELETE FROM proxy_failovers WHERE key_id NOT IN (SELECT id FROM keys);
+        DELETE FROM point_readings WHERE key_id NOT IN (SELECT id FROM keys);
+
+        CREATE TABLE task_monitoring_new (
+          id INTEGER PRIMARY KEY,
+          key_id INTEGER NOT NULL,
+          proxy TEXT NOT NULL,
+          service TEXT NOT NULL,
+          state TEXT NOT NULL DEFAULT 'pending',
+          retry_count INTEGER NOT NULL DEFAULT 0,
+          point INTEGER NOT NULL DEFAULT 0,
+          last_error TEXT,
+          last_error_message TEXT,
+          next_retry_at DATETIME,
+          last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY(key_id) REFERENCES keys(id)
+        );
+
+        INSERT INTO task_monitoring_new
+          (id, key_id, proxy, service, state, retry_count, point,
+           last_error, last_error_message, next_retry_at, last_updated)
+        SELECT id, key_id, proxy, service, state, retry_count, point,
+               last_error, last_error_message, next_retry_at, last_updated
+          FROM task_monitoring
+         WHERE key_id IN (SELECT id FROM keys);
+
+        DROP TABLE task_monitoring;
+        ALTER TABLE task_monitoring_new RENAME TO task_monitoring;
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: 'keys.key_hash',
+    // Keys may now be stored encrypted, so they are looked up by a fingerprint of the raw key.
+    // Keys present before this migration are still plaintext and can be hashed here.
+    async up(db) {
+      await db.exec('ALTER TABLE keys ADD COLUMN key_hash TEXT');
+      const keys = await db.all('SELECT id, the_key FROM keys');
+      for (const { id, the_key } of keys) {
+        await db.run('UPDATE keys SET key_hash = ? WHERE id = ?', [keyFingerprint(the_key), id]);
+      }
+      await db.exec('CREATE UNIQUE INDEX idx_keys_key_hash ON keys (key_hash)');
+    }
+  },
+  {
+    version: 4,
+    name: 'task_monitoring.last_artifacts',
+    async up(db) {
+      await db.exec('ALTER TABLE task_monitoring ADD COLUMN last_artifacts TEXT');
+    }
+  },
+  {
+    version: 5,
+    name: 'bandwidth_usage and keys.bandwidth_budget_mb',
+    async up(db) {
+      await db.exec(`
+        CREATE TABLE bandwidth_usage (
+          key_id INTEGER NOT NULL,
+          proxy TEXT NOT NULL,
+          service TEXT NOT NULL,
+          day DATE NOT NULL,
+          bytes_sent INTEGER NOT NULL DEFAULT 0,
+          bytes_received INTEGER NOT NULL DEFAULT 0,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (key_id, proxy, service, day),
+          FOREIGN KEY(key_id) REFERENCES keys(id)
+        );
+
+        ALTER TABLE keys ADD COLUMN bandwidth_budget_mb INTEGER;
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'bandwidth_usage blocked requests',
+    async up(db) {
+      await addColumnIfMissing(db, 'bandwidth_usage', 'blocked_requests', 'INTEGER NOT NULL DEFAULT 0');
+      await addColumnIfMissing(db, 'bandwidth_usage', 'saved_bytes', 'INTEGER NOT NULL DEFAULT 0');
+    }
+  }
+];
+
+async function addColumnIfMissing(db, table, column, definition) {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  if (!columns.some(c => c.name === column)) {
+    await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * Highest migration version applied to `db` (0 for a fresh or pre-migration database).
+ */
+async function getSchemaVersion(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  const row = await db.get('SELECT MAX(version) AS version FROM schema_version');
+  return row.version || 0;
+}
+
+/**
+ * Apply every pending migration in order, all in one transaction: either the database ends
+ * up at the latest version or it is left untouched. Foreign keys are switched off while tables
+ * are rebuilt and checked before committing, so a migration can't leave dangling rows.
+ * Returns the list of versions applied.
+ */
+async function migrate(db, migrations = MIGRATIONS) {
+  const current = await getSchemaVersion(db);
+  const pending = migrations.filter(m => m.version > current);
+  if (pending.length === 0) return [];
+
+  await db.exec('PRAGMA foreign_keys = OFF;');
+  await db.exec('BEGIN');
+  let migration;
+  try {
+    for (migration of pending) {
+      await migration.up(db);
+      await db.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    }
+    migration = null;
+
+    const violations = await db.all('PRAGMA foreign_key_check');
+    if (violations.length > 0) {
+      const tables = [...new Set(violations.map(v => `${v.table} -> ${v.parent}`))];
+      throw new Error(`${violations.length} row(s) violate foreign keys in ${tables.join(', ')}`);
+    }
+    await db.exec('COMMIT');
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    const step = migration ? `migration ${migration.version} (${migration.name})` : 'foreign key check';
+    throw new Error(`Schema upgrade failed at ${step}: ${error.message}`);
+  } finally {
+    await db.exec('PRAGMA foreign_keys = ON;');
+  }
+  return pending.map(m => m.version);
+}
+
+module.exports = {
+  MIGRATIONS,
+  getSchemaVersion,
+  migrate
+};
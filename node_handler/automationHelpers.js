@@ -1,18 +1,47 @@
 // automationHelpers.js
 const { By, until } = require('selenium-webdriver');
 const config = require('./config');
+const { PROXY_ERROR_PATTERN, SelectorNotFoundError, ExtensionNotLoadedError } = require('./errors');
+
+// Selectors starting with "/" or "(" are XPath, anything else is treated as CSS.
+function toLocator(selector) {
+  return /^[/(]/.test(selector) ? By.xpath(selector) : By.css(selector);
+}
+
+/**
+ * A selector in config.services is one selector or a list of fallbacks, tried in order.
+ */
+function selectorList(selector) {
+  return Array.isArray(selector) ? selector : [selector];
+}
+
+/**
+ * Wait condition resolving with the first element matched by any of the selector's fallbacks.
+ */
+function elementLocated(selector) {
+  const selectors = selectorList(selector);
+  if (selectors.length === 1) return until.elementLocated(toLocator(selectors[0]));
+
+  return async driver => {
+    for (const candidate of selectors) {
+      const [element] = await driver.findElements(toLocator(candidate));
+      if (element) return element;
+    }
+    return null;
+  };
+}
 
 async function waitForElement(driver, selector, timeout = config.timeouts.element) {
   try {
-    return await driver.wait(until.elementLocated(By.xpath(selector)), timeout);
+    return await driver.wait(elementLocated(selector), timeout);
   } catch (error) {
-    throw new Error(`Element not found: ${selector} - ${error.message}`);
+    throw new SelectorNotFoundError(selectorList(selector).join(' | '), error.message);
   }
 }
 
 async function checkElementExsist(driver, selector, timeout = config.timeouts.element) {
   try {
-    await driver.wait(until.elementLocated(By.xpath(selector)), timeout);
+    await driver.wait(elementLocated(selector), timeout);
     return true;
   } catch (error) {
     return false;
@@ -24,9 +53,9 @@ async function clickElement(driver, selector) {
   await element.click();
 }
 
-async function safeClick(driver, selector, timeout = 2000) {
+async function safeClick(driver, selector, timeout = config.timeouts.optionalElement) {
   try {
-    const element = await driver.wait(until.elementLocated(By.xpath(selector)), timeout);
+    const element = await driver.wait(elementLocated(selector), timeout);
     await element.click();
     return true;
   } catch (error) {
@@ -35,13 +64,48 @@ async function safeClick(driver, selector, timeout = 2000) {
 }
 
 async function enterText(driver, selector, text) {
-  const element = await waitForElement(driver, selector, 10000);
+  const element = await waitForElement(driver, selector, config.timeouts.action);
   // await element.clear();
   await element.sendKeys(text);
 }
 
+/**
+ * Open a chrome-extension:// page of `service`.
+ * Chrome shows its error page for extensions that aren't installed, which raises ExtensionNotLoadedError.
+ */
+async function openExtensionPage(driver, url, service) {
+  await driver.get(url);
+  const currentUrl = await driver.getCurrentUrl();
+  if (currentUrl.startsWith('chrome-error://')) {
+    throw new ExtensionNotLoadedError(service, `${url} did not open`);
+  }
+}
+
+/**
+ * Load `url` and report whether the browser's network path is broken.
+ * Returns a short reason (e.g. "ERR_PROXY_CONNECTION_FAILED") or null if the page loaded.
+ */
+async function detectNetworkError(driver, url) {
+  try {
+    await driver.get(url);
+    const currentUrl = await driver.getCurrentUrl();
+    if (currentUrl.startsWith('chrome-error://')) {
+      const match = PROXY_ERROR_PATTERN.exec(await driver.getPageSource());
+      return match ? match[0] : 'chrome error page';
+    }
+    return null;
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      return `page load timeout on ${url}`;
+    }
+    const match = PROXY_ERROR_PATTERN.exec(error.message);
+    return match ? match[0] : null;
+  }
+}
+
 async function tabReset(driver) {
-    // Tab cleanup logic.
+    // Tab cleanup logic. Nothing to clean when the browser never started.
+    if (!driver) return;
     try {
       const handles = await driver.getAllWindowHandles();
       if (handles.length > 1) {
@@ -53,15 +117,19 @@ async function tabReset(driver) {
       }
       await driver.get('about:blank');
     } catch (error) {
-      logger.error(`[TAB CLEANUP ERROR] ${error.message}`);
+      config.logger.error(`[TAB CLEANUP ERROR] ${error.message}`);
     }
   }
 
 module.exports = {
+  toLocator,
+  selectorList,
   waitForElement,
   checkElementExsist,
   clickElement,
   safeClick,
   enterText,
+  openExtensionPage,
+  detectNetworkError,
   tabReset
 };
@@ -1,37 +1,99 @@
 // automationManager.js
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { Builder } = require('selenium-webdriver');
-const proxyChain = require('proxy-chain');
 
-// The token plugin should have something like tokenPlugin.login() and tokenPlugin.check() for 'cntp'
+// The token plugin dispatches login() / check() to the plugin registered for each service
 const TokenPlugin = require('./tokenHandler');
+const SessionPool = require('./sessionPool');
+const ProxyGateway = require('./proxyGateway');
+const { RequestBlocker } = require('./requestBlocker');
+const { getService, getServices } = require('./serviceRegistry');
 
 const { initDB } = require('../init_db');
 const {
   MAX_LOGIN_RETRIES,
+  MAX_PROXY_FAILOVERS,
+  MAX_TASK_RETRIES,
   PROFILE_CLEANUP_ON_FAILURE,
   CHECK_INTERVAL,
-  STAGGER_DELAY,
-  EXTENSIONS,
+  MONITOR_MODE,
+  MAX_CONCURRENT_DRIVERS,
+  DEFAULT_SERVICES,
+  HEADLESS,
   configureChromeOptions,
+  timeouts,
   FAILED_TASKS_PATH,
+  CAPTURE_FAILURE_ARTIFACTS,
+  BANDWIDTH_FLUSH_INTERVAL,
+  BLOCK_RESOURCES,
+  BROWSER_START_DELAY,
   logger
 } = require('./config');
 
-const { tabReset } = require('./automationHelpers');
+const { tabReset, detectNetworkError } = require('./automationHelpers');
+const {
+  FAILURE_ACTION,
+  TaskError,
+  ExtensionNotLoadedError,
+  ProxyFailureError,
+  VaultLockedError,
+  toTaskError
+} = require('./errors');
+const { getRetryDelay } = require('./taskRetry');
+const { captureFailureArtifacts } = require('./failureArtifacts');
+const { serviceOfHost, recordBandwidth, getBandwidthBudget } = require('./bandwidthUsage');
+const { keyLabel, maskKey, openKey, redactSecrets } = require('./keyVault');
+const { parseProxy, formatProxy, toProxyUrl, maskProxy } = require('../proxy_handler/proxy_parser');
 
 // Ensure output and profiles directories exist
 ['./output', './profiles'].forEach(dir => {
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 });
 
+/**
+ * Session registry key of a key + proxy pair: a key with several proxies runs one session per proxy.
+ */
+function sessionKey(kp) {
+  return `${kp.id}|${kp.proxy}`;
+}
+
 class AutomationManager {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.monitor] keep drivers alive and re-check every CHECK_INTERVAL
+   * @param {number} [options.concurrency] max number of Chrome instances running at once
+   * @param {string[]} [options.services] only automate these services (default: whatever each key declares)
+   * @param {boolean} [options.headless] run Chrome without a window
+   */
+  constructor({
+    monitor = MONITOR_MODE,
+    concurrency = MAX_CONCURRENT_DRIVERS,
+    services = null,
+    headless = HEADLESS
+  } = {}) {
     this.tokenPlugin = new TokenPlugin();
-    this.chromeOptions = configureChromeOptions();
+    this.services = services ? services.map(name => getService(name).name) : null;
+    this.extensionStatus = {};
+    this.headless = headless;
+    this.chromeOptions = configureChromeOptions({ headless });
+    this.monitor = monitor;
+    this.pool = new SessionPool({ maxConcurrent: concurrency });
+    this.failoverChain = Promise.resolve();
     this.db = null;
+
+    // Session registry: sessionKey(kp) -> { kp, services, driver, inFlight, overBudget } for every browser
+    // open or opening. inFlight holds the services whose outcome this session hasn't recorded yet.
+    this.sessions = new Map();
+    this.gateway = new ProxyGateway();
+    this.routes = new Map(); // driver -> id of its route through the proxy gateway
+    this.blockers = new Map(); // driver -> RequestBlocker of its browser
+    this.sleepers = new Set(); // wake-up callbacks of pending sleep() calls
+    this.trafficTimer = null;
+    this.flushing = null;
+    this.shuttingDown = false;
   }
 
   /**
@@ -45,208 +107,881 @@ class AutomationManager {
   }
 
   /**
-   * Main entry point: load all (key, proxy) pairs, and handle each.
+   * Main entry point: load all (key, proxy) pairs, and queue each on the session pool.
+   * Resolves with the task state counts of the keys that ran ({ pending, success, failed, interrupted }),
+   * or null if the run itself broke. SIGINT/SIGTERM stop the run through shutdown().
    */
   async run() {
+    const onSignal = signal => this.shutdown(signal);
+    process.once('SIGINT', onSignal);
+    process.once('SIGTERM', onSignal);
+    this.trafficTimer = setInterval(() => this.flushTraffic(), BANDWIDTH_FLUSH_INTERVAL);
+
     try {
       const keyProxyPairs = await this.loadKeyProxyData();
-      const taskPromises = [];
-
-      for (const kp of keyProxyPairs) {
-        // kp => { id, the_key, proxy }
-        taskPromises.push(
-          this.handleKeyProxyTask(kp).catch(e => logger.error(`Task failed: ${e.message}`))
-        );
-        // Stagger the next key-proxy launch
-        await this.sleep(STAGGER_DELAY);
+      if (this.monitor && keyProxyPairs.length > this.pool.maxConcurrent) {
+        // A monitored session keeps its pool slot until it ends
+        logger.warn(`[MONITOR] ${keyProxyPairs.length} key/proxy pairs but only ${this.pool.maxConcurrent} session slots: ${keyProxyPairs.length - this.pool.maxConcurrent} wait until a monitored session ends`);
       }
 
+      // kp => { id, the_key, key_hash, proxy, services }; the pool caps live drivers and staggers launches
+      const taskPromises = keyProxyPairs.map(kp =>
+        this.pool.submit(`key=${maskKey(kp.the_key)}`, () => this.handleKeyProxyTask(kp))
+          .catch(e => logger.error(`Task failed: ${e.message}`))
+      );
+
       await Promise.all(taskPromises);
-      logger.info('[SYSTEM] All cntp automation tasks completed');
+
+      const summary = await this.getTaskSummary(keyProxyPairs.map(kp => kp.id));
+      if (this.shuttingDown) {
+        logger.info(`[SYSTEM] Automation stopped: ${JSON.stringify(summary)}`);
+      } else {
+        logger.info(`[SYSTEM] All automation tasks completed: ${JSON.stringify(summary)}`);
+      }
+      return summary;
 
     } catch (error) {
       logger.error(`[SYSTEM ERROR] ${error.message}`);
+      return null;
+    } finally {
+      process.removeListener('SIGINT', onSignal);
+      process.removeListener('SIGTERM', onSignal);
+      clearInterval(this.trafficTimer);
+      await this.flushTraffic();
+      await this.gateway.stop();
+    }
+  }
+
+  /**
+   * Stop the run: mark the in-flight tasks of every session "interrupted", then quit every
+   * browser and close the proxy gateway. Queued keys are dropped from the pool, pending sleeps
+   * end at once and the task loops return, so run() resolves as soon as the sessions have unwound. A second signal kills the process.
+   */
+  async shutdown(signal = 'shutdown') {
+    if (this.shuttingDown) return;
+    this.shuttingDown = true;
+
+    const sessions = [...this.sessions.values()];
+    logger.warn(`[SHUTDOWN] ${signal} received, closing ${sessions.length} browser session(s)`);
+    for (const session of sessions) {
+      await this.markInterrupted(session);
+    }
+
+    // Keys still queued never start, and the pool's stagger wait ends now
+    const dropped = this.pool.cancel();
+    if (dropped > 0) logger.info(`[SHUTDOWN] ${dropped} queued key(s) not started`);
+    for (const wake of this.sleepers) wake();
+    await Promise.all(sessions.map(session => this.closeSession(session)));
+    await this.gateway.stop();
+    logger.info('[SHUTDOWN] Every browser and the proxy gateway are closed');
+  }
+
+  /**
+   * Set the in-flight tasks of a session to "interrupted"; the next run picks them up again.
+   */
+  async markInterrupted(session) {
+    const { kp } = session;
+    const services = [...session.inFlight];
+    if (services.length === 0) return;
+
+    try {
+      const db = await this.getDB();
+      await db.run(
+        `UPDATE task_monitoring
+         SET state = 'interrupted', last_updated = CURRENT_TIMESTAMP
+         WHERE key_id = ? AND proxy = ? AND state != 'paused'
+           AND service IN (${services.map(() => '?').join(', ')})`,
+        [kp.id, kp.proxy, ...services]
+      );
+      logger.info(`[SHUTDOWN] ${services.join(', ')} for key=${keyLabel(kp.key_hash)} marked interrupted`);
+    } catch (error) {
+      logger.error(`Failed to mark the tasks of key_id=${kp.id} interrupted: ${error.message}`);
+    }
+  }
+
+  /**
+   * Quit the session's browser (closing its gateway route) and drop it from the registry.
+   * Safe to call twice: shutdown() and the session's own cleanup may both get here.
+   */
+  async closeSession(session) {
+    const { driver } = session;
+    session.driver = null;
+    if (this.sessions.get(sessionKey(session.kp)) === session) {
+      this.sessions.delete(sessionKey(session.kp));
+    }
+    await this.recordTraffic(session, driver);
+    await this.quitDriver(driver);
+  }
+
+  /**
+   * Record every session's traffic, and pause the sessions of keys over their daily
+   * bandwidth budget. Runs every BANDWIDTH_FLUSH_INTERVAL during run().
+   */
+  flushTraffic() {
+    if (!this.flushing) {
+      this.flushing = (async () => {
+        for (const session of [...this.sessions.values()]) {
+          await this.recordTraffic(session);
+          if (session.overBudget || !session.driver) continue;
+          const overrun = await this.getBudgetOverrun(session.kp);
+          if (overrun) this.pauseOverBudget(session, overrun);
+        }
+      })().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  /**
+   * Add the traffic of the session's gateway route and the requests its browser blocked since
+   * the last call to bandwidth_usage, split by service (see bandwidthUsage.js).
+   */
+  async recordTraffic(session, driver = session.driver) {
+    const byService = new Map();
+    const add = (service, counters) => {
+      const total = byService.get(service) || { bytesSent: 0, bytesReceived: 0, blockedRequests: 0, savedBytes: 0 };
+      for (const [name, value] of Object.entries(counters)) total[name] += value;
+      byService.set(service, total);
+    };
+    if (this.routes.has(driver)) {
+      for (const { host, bytesSent, bytesReceived } of this.gateway.takeTraffic(this.routes.get(driver))) {
+        add(serviceOfHost(host, session.services), { bytesSent, bytesReceived });
+      }
+    }
+    if (this.blockers.has(driver)) {
+      for (const { service, requests, savedBytes } of this.blockers.get(driver).takeBlocked()) {
+        add(service, { blockedRequests: requests, savedBytes });
+      }
+    }
+    if (byService.size === 0) return;
+
+    try {
+      const db = await this.getDB();
+      for (const [service, bytes] of byService) {
+        await recordBandwidth(db, { keyId: session.kp.id, proxy: session.kp.proxy, service, ...bytes });
+      }
+    } catch (error) {
+      logger.error(`Failed to record the bandwidth of key_id=${session.kp.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * "key#... used X MB of its Y MB daily budget" when the key is over its bandwidth budget
+   * today, otherwise null.
+   */
+  async getBudgetOverrun(kp) {
+    try {
+      const db = await this.getDB();
+      const { usedBytes, budgetBytes } = await getBandwidthBudget(db, kp.id);
+      if (budgetBytes === null || usedBytes <= budgetBytes) return null;
+      const mb = bytes => Math.round(bytes / 1024 / 1024);
+      return `key=${keyLabel(kp.key_hash)} used ${mb(usedBytes)} MB of its ${mb(budgetBytes)} MB daily budget`;
+    } catch (error) {
+      logger.error(`Failed to check the bandwidth budget of key_id=${kp.id}: ${error.message}`);
+      return null;
     }
   }
 
   /**
-   * Orchestrates the flow for a single key + proxy pair.
-   *  1. Ensure there's a "cntp" task row in task_monitoring for (key_id, proxy).
-   *  2. If that task is "success" or "failed", do nothing.
-   *  3. Otherwise, try to login + check. On success => mark "success". On final fail => mark "failed".
+   * Cut the session's traffic at the gateway; its monitor ends the session at the next check
+   * and the key waits for the next (UTC) day.
+   */
+  pauseOverBudget(session, overrun) {
+    session.overBudget = true;
+    if (this.routes.has(session.driver)) {
+      this.gateway.suspend(this.routes.get(session.driver), 'bandwidth budget exceeded');
+    }
+    logger.warn(`[BUDGET] ${overrun}, pausing its session until tomorrow (UTC)`);
+  }
+
+  /**
+   * Every open browser session with the proxy gateway counters of its route (see ProxyGateway.getStats).
+   */
+  getSessionStats() {
+    return [...this.sessions.values()].map(({ kp, driver }) => ({
+      key_id: kp.id,
+      key: keyLabel(kp.key_hash),
+      proxy: kp.proxy,
+      ...(this.routes.has(driver) ? this.gateway.getStats(this.routes.get(driver)) : {})
+    }));
+  }
+
+  /**
+   * Count task_monitoring rows per state for the given keys.
+   */
+  async getTaskSummary(keyIds) {
+    const db = await this.getDB();
+    const rows = await db.all(
+      `SELECT state, COUNT(*) AS count FROM task_monitoring
+        WHERE key_id IN (${keyIds.map(() => '?').join(', ')})
+        GROUP BY state`,
+      keyIds
+    );
+    const summary = { pending: 0, success: 0, failed: 0, interrupted: 0 };
+    for (const row of rows) {
+      summary[row.state] = row.count;
+    }
+    return summary;
+  }
+
+  /**
+   * Orchestrates the flow for a single key + proxy pair and all of its services.
+   *  1. Ensure there's a task row in task_monitoring for each (key_id, proxy, service).
+   *  2. Drop services whose task is "success" (outside monitor mode) or "failed" and not yet
+   *     due for its next automatic retry.
+   *  3. Launch one driver with every remaining service's extension loaded.
+   *  4. Login + check each service independently, marking its own task "success" or "failed".
+   *  5. In monitor mode, keep the driver alive and re-check the live services every CHECK_INTERVAL,
+   *     and once the session ends wait for the next scheduled retry.
+   *  6. If the proxy itself dies, move the key to a healthy spare proxy and start over
+   *     on the same profile (at most MAX_PROXY_FAILOVERS times).
+   * Returns once no service is left to run, the key gave up on failovers or has no spare
+   * proxy, or shutdown() has been called.
    */
   async handleKeyProxyTask(kp) {
-    const { id: keyId, the_key, proxy } = kp;
-    const profilePath = this.getProfilePath(the_key, proxy);
+    let failovers = 0;
 
-    // Setup a single "cntp" task if it doesn't exist
-    await this.initializeCNTPTask(keyId, proxy);
+    while (!this.shuttingDown) {
+      const { services, nextRetryAt } = await this.getRunnableServices(kp);
+      if (services.length === 0) {
+        if (this.monitor && nextRetryAt) {
+          const wait = Math.max(0, nextRetryAt - Date.now());
+          logger.info(`[BACKOFF] Key=${maskKey(kp.the_key)} waiting ${Math.round(wait / 1000)}s for the next retry`);
+          await this.sleep(wait);
+          continue;
+        }
+        logger.info(`[SKIP] Key=${maskKey(kp.the_key)}, Proxy=${maskProxy(kp.proxy)} has no services left to run.`);
+        return;
+      }
 
-    // Check current state (pending, success, failed)
-    let state = await this.getCNTPTaskState(keyId, proxy);
-    if (state === 'success' || state === 'failed') {
-      logger.info(`[SKIP] Key=${the_key}, Proxy=${proxy} is already marked as '${state}'.`);
-      return;
+      const proxyFailure = await this.runSession(kp, services);
+      if (this.shuttingDown) return;
+      if (!proxyFailure) {
+        if (this.monitor) continue;
+        return;
+      }
+
+      if (failovers >= MAX_PROXY_FAILOVERS) {
+        logger.error(`[FAILOVER] Key=${maskKey(kp.the_key)} already failed over ${failovers} times, giving up`);
+        for (const service of services) {
+          await this.failTask(kp, service, proxyFailure);
+        }
+        return;
+      }
+
+      failovers++;
+      const newProxy = await this.failoverProxy(kp, services, proxyFailure.reason);
+      if (!newProxy) return;
     }
+  }
+
+  /**
+   * One driver lifetime for a key: launch, start every service, then monitor.
+   * The browser is quit when the session ends, in monitor mode or not: the process exits once
+   * run() resolves, so a browser left open would outlive its proxy gateway route.
+   * Returns the ProxyFailureError if the proxy died, otherwise null.
+   */
+  async runSession(kp, services) {
+    const { the_key, proxy } = kp;
+    const profilePath = this.getProfilePath(kp.key_hash, proxy);
+    this.adoptLegacyProfile(kp, profilePath);
+
+    const session = { kp, services, driver: null, inFlight: new Set(services), overBudget: false };
+    this.sessions.set(sessionKey(kp), session);
 
     // Attempt the automation
-    let loginAttempts = 0;
     let driver;
     try {
-      driver = await this.initializeDriver(profilePath, proxy);
-      let loginSuccess = false;
-
-      // Try login up to MAX_LOGIN_RETRIES times
-      while (!loginSuccess && loginAttempts < MAX_LOGIN_RETRIES) {
-        try {
-          loginSuccess = await this.tokenPlugin.login(driver, 'cntp', the_key, proxy);
-        } catch (error) {
-          logger.error(`[LOGIN ERROR] ${error.message}`);
+      driver = session.driver = await this.initializeDriver(profilePath, proxy, services);
+
+      // One service failing must not stop the others sharing this profile
+      const liveServices = [];
+      for (const service of services) {
+        if (this.shuttingDown) break;
+        const live = await this.startServiceTask(driver, kp, service);
+        if (live) liveServices.push(service);
+        if (!live || !this.monitor) session.inFlight.delete(service);
+      }
+
+      if (this.monitor && liveServices.length > 0) {
+        await this.monitorSession(driver, kp, liveServices);
+      }
+      return null;
+
+    } catch (error) {
+      // The browser was closed under us, the tasks are already marked interrupted
+      if (this.shuttingDown) return null;
+
+      if (error instanceof ProxyFailureError) {
+        logger.warn(`[PROXY FAILURE] Key=${maskKey(the_key)}: ${error.message}`);
+        return error;
+      }
+      logger.error(`[FATAL ERROR] Key=${maskKey(the_key)}: ${error.message}`);
+      this.handleCleanup(profilePath);
+      const taskError = toTaskError(error, 'fatal');
+      for (const service of services) {
+        await this.failTask(kp, service, taskError);
+      }
+      return null;
+    } finally {
+      // The next session (or the spare proxy after a failover) reuses this profile
+      await this.closeSession(session);
+      if (kp.proxy !== proxy) this.moveProfile(kp.key_hash, proxy, kp.proxy);
+    }
+  }
+
+  /**
+   * Make sure every service of the key has a task row, and return the ones still worth running
+   * plus the earliest time (ms) a failed service becomes due for retry, if any.
+   */
+  async getRunnableServices(kp) {
+    const { id: keyId, the_key, proxy } = kp;
+    const runnable = [];
+    let nextRetryAt = null;
+
+    const overrun = await this.getBudgetOverrun(kp);
+    if (overrun) {
+      const tomorrow = new Date();
+      tomorrow.setUTCHours(24, 0, 0, 0);
+      logger.info(`[BUDGET] ${overrun}, skipping it until tomorrow (UTC)`);
+      return { services: [], nextRetryAt: tomorrow.getTime() };
+    }
+
+    for (const service of kp.services) {
+      await this.initializeTask(keyId, proxy, service);
+
+      // Check current state (pending, success, failed)
+      const task = await this.getTask(keyId, proxy, service);
+      const state = task ? task.state : null;
+      if (state === 'paused') {
+        logger.info(`[SKIP] ${service} for Key=${maskKey(the_key)} is paused.`);
+        continue;
+      }
+      if (state === 'interrupted') {
+        logger.info(`[RESUME] ${service} for Key=${maskKey(the_key)} was interrupted by a shutdown, running it again`);
+      }
+      if (state === 'success' && !this.monitor) {
+        logger.info(`[SKIP] ${service} for Key=${maskKey(the_key)}, Proxy=${maskProxy(proxy)} is already marked as '${state}'.`);
+        continue;
+      }
+
+      if (state === 'failed') {
+        if (!task.next_retry_at) {
+          logger.info(`[SKIP] ${service} for Key=${maskKey(the_key)}, Proxy=${maskProxy(proxy)} failed ${task.retry_count} times (${task.last_error}); requeue it with retry-failed.`);
+          continue;
         }
-        if (!loginSuccess) {
-          loginAttempts++;
-          logger.warn(`[RETRY] cntp login failed for key=${the_key}. Attempt ${loginAttempts}/${MAX_LOGIN_RETRIES}`);
+        const retryAt = new Date(`${task.next_retry_at.replace(' ', 'T')}Z`).getTime();
+        if (retryAt > Date.now()) {
+          logger.info(`[BACKOFF] ${service} for Key=${maskKey(the_key)} retries at ${task.next_retry_at} UTC`);
+          nextRetryAt = nextRetryAt === null ? retryAt : Math.min(nextRetryAt, retryAt);
+          continue;
         }
+        logger.info(`[RETRY] ${service} for Key=${maskKey(the_key)}, attempt ${task.retry_count + 1}`);
       }
 
-      if (!loginSuccess) {
-        logger.error(`[FAILURE] cntp login failed after ${MAX_LOGIN_RETRIES} attempts for key=${the_key}`);
-        await this.updateCNTPTaskState(keyId, proxy, 'failed', 0);
-        this.logFailedTask(the_key, proxy);
-        return;
+      runnable.push(service);
+    }
+
+    return { services: runnable, nextRetryAt };
+  }
+
+  /**
+   * First login + check of one service on a shared driver. Returns true if the service is live.
+   */
+  async startServiceTask(driver, kp, service) {
+    const { id: keyId, the_key, proxy } = kp;
+
+    // No point logging in when the browser came up without this service's extension
+    if (getService(service).extension && this.extensionStatus[service] === false) {
+      await this.failTask(kp, service, new ExtensionNotLoadedError(service, 'the .crx is missing or invalid'));
+      return false;
+    }
+
+    const loginError = await this.loginWithRetries(driver, service, the_key, proxy);
+    if (loginError) {
+      await this.handleServiceFailure(driver, kp, service, loginError);
+      return false;
+    }
+
+    // If login succeeded, run check
+    let checkResult;
+    try {
+      checkResult = await this.tokenPlugin.check(driver, service, the_key, proxy);
+    } catch (error) {
+      logger.warn(`[CHECK FAILURE] ${service} check failed for key=${maskKey(the_key)}: ${error.message}`);
+      await this.handleServiceFailure(driver, kp, service, toTaskError(error, 'check_failed', proxy));
+      return false;
+    }
+
+    // If checkResult is numeric (e.g., points), store it in the DB
+    logger.info(`[CHECK SUCCESS] ${service} check for key=${maskKey(the_key)} returned: ${checkResult}`);
+    // kp.proxy, not `proxy`: a dashboard swap may have moved the task meanwhile
+    await this.updateTaskState(keyId, kp.proxy, service, 'success', checkResult);
+    await this.recordPointReading(keyId, kp.proxy, service, checkResult);
+    return true;
+  }
+
+  /**
+   * Try to login up to MAX_LOGIN_RETRIES times.
+   * Returns null on success, otherwise the TaskError of the last attempt. Errors another
+   * attempt can't fix (a dead proxy, a permanent failure) stop the retries early.
+   */
+  async loginWithRetries(driver, service, the_key, proxy) {
+    let loginError = null;
+
+    for (let attempt = 1; attempt <= MAX_LOGIN_RETRIES; attempt++) {
+      try {
+        await this.tokenPlugin.login(driver, service, the_key, proxy);
+        return null;
+      } catch (error) {
+        loginError = toTaskError(error, 'login_failed', proxy);
       }
+      logger.warn(`[RETRY] ${service} login failed for key=${maskKey(the_key)} (${loginError.type}). Attempt ${attempt}/${MAX_LOGIN_RETRIES}`);
+      if (loginError.action !== FAILURE_ACTION.RETRY || this.shuttingDown) break;
+    }
 
-      // If login succeeded, run check
-      const checkResult = await this.tokenPlugin.check(driver, 'cntp', the_key, proxy);
-      if (checkResult === false) {
-        logger.warn(`[CHECK FAILURE] cntp check returned false for key=${the_key}`);
-        await this.updateCNTPTaskState(keyId, proxy, 'failed', 0);
-        this.logFailedTask(the_key, proxy);
-      } else {
-        // If checkResult is numeric (e.g., points), store it in the DB
-        logger.info(`[CHECK SUCCESS] cntp check for key=${the_key} returned: ${checkResult}`);
-        await this.updateCNTPTaskState(keyId, proxy, 'success', checkResult);
+    logger.error(`[FAILURE] ${service} login failed for key=${maskKey(the_key)}: ${loginError.message}`);
+    return loginError;
+  }
+
+  /**
+   * Act on a failed service task according to its error's action: a dead proxy is rethrown as
+   * ProxyFailureError so the whole key fails over, a permanent error fails the task for good,
+   * anything else is failed with a backoff retry.
+   */
+  async handleServiceFailure(driver, kp, service, error) {
+    const { proxy } = kp;
+    // A browser quit by shutdown() fails everything it was doing; that's no task failure
+    if (this.shuttingDown) return;
+    // Before anything navigates away from the page that failed
+    const artifacts = await this.captureArtifacts(driver, kp, service, error);
+
+    if (error.action === FAILURE_ACTION.FAILOVER) {
+      throw error instanceof ProxyFailureError ? error : new ProxyFailureError(proxy, error.message);
+    }
+    if (error.action === FAILURE_ACTION.RETRY) {
+      // A missing element is often just a page the proxy couldn't load
+      await this.assertProxyAlive(driver, proxy, service);
+    }
+    await this.failTask(kp, service, error, artifacts);
+  }
+
+  /**
+   * Save the failure artifacts (see failureArtifacts.js) unless CAPTURE_FAILURE_ARTIFACTS is off.
+   * Resolves with their folder, or null.
+   */
+  async captureArtifacts(driver, kp, service, error) {
+    if (!CAPTURE_FAILURE_ARTIFACTS || this.shuttingDown) return null;
+    return captureFailureArtifacts(driver, kp.id, service, error);
+  }
+
+  /**
+   * Supervisor loop for a logged-in driver: every CHECK_INTERVAL re-check each live service.
+   * Returns once every service has failed to log back in, or the key went over its bandwidth budget.
+   */
+  async monitorSession(driver, kp, services) {
+    let liveServices = [...services];
+    logger.info(`[MONITOR] Watching ${liveServices.join(', ')} for key=${maskKey(kp.the_key)} every ${CHECK_INTERVAL / 1000}s`);
+    const session = this.sessions.get(sessionKey(kp));
+
+    while (liveServices.length > 0 && !this.shuttingDown) {
+      await this.sleep(CHECK_INTERVAL);
+      if (this.shuttingDown) break;
+      if (session && session.overBudget) {
+        logger.info(`[MONITOR] Key=${maskKey(kp.the_key)} is over its bandwidth budget, ending the session`);
+        break;
+      }
+
+      const stillLive = [];
+      for (const service of liveServices) {
+        if (await this.recheckService(driver, kp, service)) {
+          stillLive.push(service);
+        }
+      }
+      liveServices = stillLive;
+      if (session) session.inFlight = new Set(liveServices);
+    }
+  }
+
+  /**
+   * Confirm the session of one service, re-login if it dropped, and record the current point reading.
+   * Returns false when re-login fails for good or the service was paused from the dashboard.
+   */
+  async recheckService(driver, kp, service) {
+    const { id: keyId, the_key, proxy } = kp;
+
+    const task = await this.getTask(keyId, proxy, service);
+    if (task && task.state === 'paused') {
+      logger.info(`[MONITOR] ${service} was paused for key=${maskKey(the_key)}, dropping it from the session`);
+      return false;
+    }
+
+    const loggedIn = await this.tokenPlugin.checkLoginState(driver, service);
+    if (!loggedIn) {
+      logger.warn(`[MONITOR] ${service} session lost for key=${maskKey(the_key)}, logging in again`);
+      const loginError = await this.loginWithRetries(driver, service, the_key, proxy);
+      if (loginError) {
+        await this.handleServiceFailure(driver, kp, service, loginError);
+        return false;
       }
+    }
 
+    let checkResult;
+    try {
+      checkResult = await this.tokenPlugin.check(driver, service, the_key, proxy);
     } catch (error) {
-      logger.error(`[FATAL ERROR] Key=${the_key}: ${error.message}`);
-      this.handleCleanup(profilePath);
-    } finally {
-      await tabReset(driver);
+      const checkError = toTaskError(error, 'check_failed', proxy);
+      if (checkError.action !== FAILURE_ACTION.RETRY) {
+        await this.handleServiceFailure(driver, kp, service, checkError);
+        return false;
+      }
+      await this.captureArtifacts(driver, kp, service, checkError);
+      await this.assertProxyAlive(driver, proxy, service);
+      logger.warn(`[MONITOR] ${service} check failed for key=${maskKey(the_key)} (${checkError.type}), will retry next interval`);
+      return true;
     }
+
+    await this.updateTaskState(keyId, kp.proxy, service, 'success', checkResult);
+    await this.recordPointReading(keyId, kp.proxy, service, checkResult);
+    return true;
   }
 
   /**
-   * Initialize the single cntp row in task_monitoring if it doesn't exist.
+   * After a failed login/check, load the service's first probe URL through the driver.
+   * Throws ProxyFailureError if the page can't be reached because of the proxy.
    */
-  async initializeCNTPTask(keyId, proxy) {
+  async assertProxyAlive(driver, proxy, service) {
+    const [probe] = getService(service).probes;
+    if (!probe) return;
+
+    const networkError = await detectNetworkError(driver, probe.url);
+    if (networkError) {
+      throw new ProxyFailureError(proxy, networkError);
+    }
+  }
+
+  /**
+   * Move the key off its dead proxy onto `target`, or the best healthy spare from filtered_proxies.
+   * Failovers run one at a time so two keys can't grab the same spare.
+   * Returns the new proxy, or null if no spare is available.
+   */
+  failoverProxy(kp, services, reason, target = null) {
+    const run = this.failoverChain.then(() => this.reassignProxy(kp, services, reason, target));
+    this.failoverChain = run.catch(() => {});
+    return run;
+  }
+
+  async reassignProxy(kp, services, reason, target = null) {
+    const { id: keyId, proxy: oldProxy } = kp;
+    const label = keyLabel(kp.key_hash);
+    const db = await this.getDB();
+
+    const spare = target || await this.findSpareProxy(services);
+    await db.run(
+      `INSERT INTO proxy_failovers (key_id, old_proxy, new_proxy, reason) VALUES (?, ?, ?, ?)`,
+      [keyId, oldProxy, spare, reason]
+    );
+    if (!spare) {
+      logger.error(`[FAILOVER] No healthy spare proxy for key=${label} (${services.join(', ')})`);
+      for (const service of services) {
+        await this.failTask(kp, service, new TaskError('no_spare_proxy', `no spare proxy after: ${reason}`));
+      }
+      return null;
+    }
+
+    // The key may have been on the spare before: drop those rows so the moved ones don't duplicate them
+    await db.run(`DELETE FROM keys_proxies WHERE key_id = ? AND proxy = ?`, [keyId, spare]);
+    await db.run(
+      `DELETE FROM task_monitoring WHERE key_id = ? AND proxy = ?
+         AND service IN (SELECT service FROM task_monitoring WHERE key_id = ? AND proxy = ?)`,
+      [keyId, spare, keyId, oldProxy]
+    );
+    await db.run(
+      `UPDATE keys_proxies SET proxy = ? WHERE key_id = ? AND proxy = ?`,
+      [spare, keyId, oldProxy]
+    );
+    await db.run(
+      `UPDATE task_monitoring SET proxy = ?, last_updated = CURRENT_TIMESTAMP WHERE key_id = ? AND proxy = ?`,
+      [spare, keyId, oldProxy]
+    );
+
+    kp.proxy = spare;
+    logger.warn(`[FAILOVER] Key=${label} moved from ${maskProxy(oldProxy)} to ${maskProxy(spare)}: ${reason}`);
+
+    // A browser still running for the key (e.g. a swap from the dashboard) switches right away.
+    // It keeps using its profile folder, which runSession() moves along once the browser quits.
+    const oldKey = sessionKey({ id: keyId, proxy: oldProxy });
+    const session = this.sessions.get(oldKey);
+    if (session) {
+      this.sessions.delete(oldKey);
+      session.kp.proxy = spare;
+      this.sessions.set(sessionKey(session.kp), session);
+      if (this.routes.has(session.driver)) {
+        this.gateway.setUpstream(this.routes.get(session.driver), toProxyUrl(spare));
+      }
+    } else {
+      this.moveProfile(kp.key_hash, oldProxy, spare);
+    }
+    return spare;
+  }
+
+  /**
+   * Best-scored proxy that passed every given service, isn't assigned to any key,
+   * and hasn't been failed away from in the last day.
+   */
+  async findSpareProxy(services) {
+    const db = await this.getDB();
+    const rows = await db.all(`
+      SELECT fp.proxy, fp.success
+        FROM filtered_proxies fp
+        LEFT JOIN proxy_scores ps ON ps.proxy = fp.proxy
+       WHERE fp.proxy NOT IN (SELECT proxy FROM keys_proxies)
+         AND fp.proxy NOT IN (
+           SELECT old_proxy FROM proxy_failovers WHERE created_at > datetime('now', '-1 day')
+         )
+       ORDER BY COALESCE(ps.score, 0) DESC
+    `);
+
+    const spare = rows.find(row => {
+      const success = JSON.parse(row.success || '[]');
+      return services.every(service => success.includes(service));
+    });
+    return spare ? spare.proxy : null;
+  }
+
+  /**
+   * Initialize the task row for (key, proxy, service) in task_monitoring if it doesn't exist.
+   */
+  async initializeTask(keyId, proxy, service) {
     try {
       const db = await this.getDB();
       // See if it exists
       const existing = await db.get(
-        `SELECT id FROM task_monitoring WHERE key_id = ? AND proxy = ? AND service = 'cntp'`,
-        [keyId, proxy]
+        `SELECT id FROM task_monitoring WHERE key_id = ? AND proxy = ? AND service = ?`,
+        [keyId, proxy, service]
       );
       if (!existing) {
         await db.run(
           `INSERT INTO task_monitoring (key_id, proxy, service, state, retry_count, point)
-           VALUES (?, ?, 'cntp', 'pending', 0, 0)`,
-          [keyId, proxy]
+           VALUES (?, ?, ?, 'pending', 0, 0)`,
+          [keyId, proxy, service]
         );
-        logger.info(`Initialized cntp task for key=${keyId}, proxy=${proxy}`);
+        logger.info(`Initialized ${service} task for key=${keyId}, proxy=${maskProxy(proxy)}`);
       }
     } catch (error) {
-      logger.error(`Failed to initialize cntp task for key_id=${keyId} and proxy=${proxy}: ${error.message}`);
+      logger.error(`Failed to initialize ${service} task for key_id=${keyId} and proxy=${maskProxy(proxy)}: ${error.message}`);
     }
   }
 
   /**
-   * Get the current state of the cntp task (pending, success, failed).
+   * Get the current state (pending, success, failed) and retry bookkeeping of a service task.
    */
-  async getCNTPTaskState(keyId, proxy) {
+  async getTask(keyId, proxy, service) {
     try {
       const db = await this.getDB();
       const row = await db.get(
-        `SELECT state FROM task_monitoring
-         WHERE key_id = ? AND proxy = ? AND service = 'cntp'`,
-        [keyId, proxy]
+        `SELECT state, retry_count, last_error, last_error_message, next_retry_at FROM task_monitoring
+         WHERE key_id = ? AND proxy = ? AND service = ?`,
+        [keyId, proxy, service]
       );
-      return row ? row.state : null;
+      return row || null;
     } catch (error) {
-      logger.error(`Failed to fetch cntp task state for key_id=${keyId}, proxy=${proxy}: ${error.message}`);
+      logger.error(`Failed to fetch ${service} task state for key_id=${keyId}, proxy=${maskProxy(proxy)}: ${error.message}`);
       return null;
     }
   }
 
   /**
-   * Update the cntp task state in task_monitoring, including "point".
+   * Update a service task state in task_monitoring, including "point".
+   * A "success" also clears the retry bookkeeping so the next failure starts a fresh backoff.
    */
-  async updateCNTPTaskState(keyId, proxy, newState, point = 0) {
+  async updateTaskState(keyId, proxy, service, newState, point = 0) {
     try {
       const db = await this.getDB();
+      const succeeded = newState === 'success' ? 1 : 0;
       await db.run(
         `UPDATE task_monitoring
          SET state = ?,
              last_updated = CURRENT_TIMESTAMP,
-             point = ?
-         WHERE key_id = ? AND proxy = ? AND service = 'cntp'`,
-        [newState, point, keyId, proxy]
+             point = ?,
+             retry_count = CASE WHEN ? THEN 0 ELSE retry_count END,
+             last_error = CASE WHEN ? THEN NULL ELSE last_error END,
+             last_error_message = CASE WHEN ? THEN NULL ELSE last_error_message END,
+             last_artifacts = CASE WHEN ? THEN NULL ELSE last_artifacts END,
+             next_retry_at = CASE WHEN ? THEN NULL ELSE next_retry_at END
+         WHERE key_id = ? AND proxy = ? AND service = ?`,
+        [newState, point, succeeded, succeeded, succeeded, succeeded, succeeded, keyId, proxy, service]
       );
-      logger.info(`Updated cntp task for key_id=${keyId}, proxy=${proxy} -> ${newState}, point=${point}`);
+      logger.info(`Updated ${service} task for key_id=${keyId}, proxy=${maskProxy(proxy)} -> ${newState}, point=${point}`);
     } catch (error) {
-      logger.error(`Failed to update cntp task state: ${error.message}`);
+      logger.error(`Failed to update ${service} task state: ${error.message}`);
     }
   }
 
   /**
-   * Build the Chrome driver with the user-profile folder & proxy.
+   * Mark a service task failed with `error` (a TaskError), count the attempt in retry_count and
+   * schedule the next automatic retry with exponential backoff. Permanent errors, and tasks that
+   * used up MAX_TASK_RETRIES, get no retry. The failure is also appended to fail_tasks.json,
+   * with the folder of its failure artifacts when there are any.
    */
-  async initializeDriver(profilePath, proxyUrl) {
-    const options = configureChromeOptions();
-    const parsedProxy = await this.processProxy(proxyUrl);
+  async failTask(kp, service, error, artifacts = null) {
+    const { id: keyId, proxy } = kp;
+    const label = keyLabel(kp.key_hash);
+    // Selenium messages can echo typed text, i.e. the key
+    const message = redactSecrets(error.message);
+    try {
+      const db = await this.getDB();
+      const row = await db.get(
+        `SELECT retry_count FROM task_monitoring WHERE key_id = ? AND proxy = ? AND service = ?`,
+        [keyId, proxy, service]
+      );
+      const retryCount = (row ? row.retry_count : 0) + 1;
+      const delay = error.action === FAILURE_ACTION.PERMANENT ? null : getRetryDelay(retryCount);
+
+      await db.run(
+        `UPDATE task_monitoring
+         SET state = 'failed',
+             point = 0,
+             retry_count = ?,
+             last_error = ?,
+             last_error_message = ?,
+             last_artifacts = ?,
+             next_retry_at = CASE WHEN ? THEN datetime('now', ?) ELSE NULL END,
+             last_updated = CURRENT_TIMESTAMP
+         WHERE key_id = ? AND proxy = ? AND service = ?`,
+        [retryCount, error.type, message, artifacts, delay !== null ? 1 : 0, `+${Math.round((delay || 0) / 1000)} seconds`, keyId, proxy, service]
+      );
 
+      if (error.action === FAILURE_ACTION.PERMANENT) {
+        logger.error(`[FAILED] ${service} for key=${label} failed permanently (${error.type}): ${message}`);
+      } else if (delay === null) {
+        logger.error(`[FAILED] ${service} for key=${label} gave up after ${retryCount} attempts (${error.type})`);
+      } else {
+        logger.warn(`[FAILED] ${service} for key=${label} (${error.type}), retry ${retryCount}/${MAX_TASK_RETRIES} in ${Math.round(delay / 1000)}s`);
+      }
+    } catch (dbError) {
+      logger.error(`Failed to record ${service} task failure: ${dbError.message}`);
+    }
+    this.logFailedTask(label, proxy, service, error.type, message, artifacts);
+  }
+
+  /**
+   * Append one timestamped point reading so progress can be tracked over time.
+   */
+  async recordPointReading(keyId, proxy, service, point) {
+    try {
+      const db = await this.getDB();
+      await db.run(
+        `INSERT INTO point_readings (key_id, proxy, service, point)
+         VALUES (?, ?, ?, ?)`,
+        [keyId, proxy, service, point]
+      );
+    } catch (error) {
+      logger.error(`Failed to record ${service} point reading for key_id=${keyId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the Chrome driver with the user-profile folder & proxy,
+   * loading the extension of every listed service.
+   */
+  async initializeDriver(profilePath, proxyUrl, services) {
+    const options = configureChromeOptions({ headless: this.headless });
     options.addArguments(`--user-data-dir=${profilePath}`);
-    options.addArguments(`--proxy-server=${parsedProxy.url}`);
 
-    // If the proxy has user:pass authentication, handle it
-    if (parsedProxy.auth) {
-      options.addArguments(`--proxy-auth=${parsedProxy.auth}`);
+    // Chrome can't answer proxy auth prompts headlessly, so it connects to its own route of the
+    // local gateway, which adds the credentials. No proxy (e.g. check-selectors without --key)
+    // means a direct connection.
+    let route = null;
+    if (proxyUrl) {
+      const { host, port } = parseProxy(proxyUrl);
+      route = await this.gateway.open(toProxyUrl(proxyUrl), `proxy=${host}:${port}`);
+      options.addArguments(`--proxy-server=${route.url}`);
     }
 
-    // If you have a specialized extension you want to load for cntp, do it here.
-    await this.validateExtensions();
-    const extConfig = EXTENSIONS['cntp'];
-    if (extConfig && extConfig.valid) {
-      try {
-        options.addExtensions(extConfig.path);
-        logger.info('[EXTENSION] Loaded cntp extension');
-      } catch (error) {
-        logger.error(`Failed to load cntp extension: ${error.message}`);
+    let driver;
+    try {
+      await this.validateExtensions(services);
+      for (const service of services) {
+        const { extension } = getService(service);
+        if (extension && this.extensionStatus[service]) {
+          try {
+            options.addExtensions(extension);
+            logger.info(`[EXTENSION] Loaded ${service} extension`);
+          } catch (error) {
+            logger.error(`Failed to load ${service} extension: ${error.message}`);
+          }
+        }
       }
-    }
 
-    const driver = await new Builder()
-      .forBrowser('chrome')
-      .setChromeOptions(options)
-      .build();
+      driver = await new Builder()
+        .forBrowser('chrome')
+        .setChromeOptions(options)
+        .build();
+      if (route) this.routes.set(driver, route.id);
+      await this.startRequestBlocking(driver, services);
 
-    // Wait a moment for the browser to launch
-    await driver.sleep(5000);
-    await tabReset(driver);
+      // A dead proxy shows up as a page load that never finishes
+      await driver.manage().setTimeouts({ pageLoad: timeouts.page });
 
-    return driver;
+      // Wait a moment for the browser to launch
+      await driver.sleep(BROWSER_START_DELAY);
+      await tabReset(driver);
+
+      return driver;
+    } catch (error) {
+      // Don't leave a half-started browser or its route behind
+      if (driver) {
+        await this.quitDriver(driver);
+      } else if (route) {
+        await this.gateway.close(route.id);
+      }
+      throw error;
+    }
   }
 
   /**
-   * Convert the user-supplied proxy into an anonymized proxy-chain URL if needed.
+   * Block the resources the services' policies drop (see requestBlocker.js) in a new browser.
+   * Without a DevTools connection the browser just loads everything.
    */
-  async processProxy(proxyUrl) {
-    const anonymized = await proxyChain.anonymizeProxy(`http://${proxyUrl}`);
-    const parsed = new URL(anonymized);
-    return {
-      url: `${parsed.protocol}//${parsed.hostname}:${parsed.port}`,
-      auth: parsed.username && parsed.password ? `${parsed.username}:${parsed.password}` : null
-    };
+  async startRequestBlocking(driver, services) {
+    if (!BLOCK_RESOURCES) return;
+    try {
+      const capabilities = await driver.getCapabilities();
+      const { debuggerAddress } = capabilities.get('goog:chromeOptions') || {};
+      if (!debuggerAddress) throw new Error('chromedriver reported no DevTools address');
+
+      const blocker = new RequestBlocker(services);
+      await blocker.connect(debuggerAddress);
+      this.blockers.set(driver, blocker);
+    } catch (error) {
+      logger.warn(`[BLOCKING] Resource blocking unavailable, loading everything: ${error.message}`);
+    }
+  }
+
+  /**
+   * Close the browser, its gateway route and its request blocker, ignoring errors from an
+   * already-dead session.
+   */
+  async quitDriver(driver) {
+    if (!driver) return;
+    const routeId = this.routes.get(driver);
+    const blocker = this.blockers.get(driver);
+    this.routes.delete(driver);
+    this.blockers.delete(driver);
+    if (blocker) {
+      const { requests, savedBytes } = await blocker.close();
+      if (requests > 0) {
+        logger.info(`[BLOCKING] Blocked ${requests} request(s), about ${Math.round(savedBytes / 1024)} KB of proxy traffic saved`);
+      }
+    }
+    try {
+      await driver.quit();
+    } catch (error) {
+      logger.warn(`[DRIVER QUIT ERROR] ${error.message}`);
+    }
+    if (routeId) await this.gateway.close(routeId);
   }
 
   /**
@@ -264,10 +999,18 @@ class AutomationManager {
   }
 
   /**
-   * If a cntp task fails, log it to JSON for post-mortem.
+   * If a service task fails, log it to JSON for post-mortem.
    */
-  logFailedTask(the_key, proxy) {
-    const entry = { key: the_key, proxy, service: 'cntp', timestamp: new Date().toISOString() };
+  logFailedTask(label, proxy, service, type, message, artifacts) {
+    const entry = {
+      key: label,
+      proxy: maskProxy(proxy),
+      service,
+      error: type,
+      message,
+      artifacts,
+      timestamp: new Date().toISOString()
+    };
     const data = fs.existsSync(FAILED_TASKS_PATH)
       ? JSON.parse(fs.readFileSync(FAILED_TASKS_PATH))
       : [];
@@ -277,65 +1020,128 @@ class AutomationManager {
   }
 
   /**
-   * Confirm that any required extension file is readable and is a real Chrome extension.
+   * Confirm that each service's extension file is readable and is a real Chrome extension.
+   * Results are cached in this.extensionStatus by service name.
    */
-  async validateExtensions() {
-    for (const [name, extConfig] of Object.entries(EXTENSIONS)) {
-      if (!extConfig.path) continue; // skip blank config
+  async validateExtensions(services) {
+    for (const name of services) {
+      if (name in this.extensionStatus) continue;
+      const { extension } = getService(name);
+      if (!extension) continue; // web-only service
       try {
-        await fs.promises.access(extConfig.path, fs.constants.R_OK);
-        const buffer = await fs.promises.readFile(extConfig.path);
-        extConfig.valid = buffer.slice(0, 4).toString() === 'Cr24';
-        logger.info(`Extension ${name} is ${extConfig.valid ? 'valid' : 'invalid'}`);
+        await fs.promises.access(extension, fs.constants.R_OK);
+        const buffer = await fs.promises.readFile(extension);
+        this.extensionStatus[name] = buffer.slice(0, 4).toString() === 'Cr24';
+        logger.info(`Extension ${name} is ${this.extensionStatus[name] ? 'valid' : 'invalid'}`);
       } catch (error) {
-        extConfig.valid = false;
+        this.extensionStatus[name] = false;
         logger.error(`Extension ${name} check failed: ${error.message}`);
       }
     }
   }
 
   /**
-   * Sleep helper.
+   * Sleep helper. shutdown() wakes every pending sleep at once.
    */
   sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    if (this.shuttingDown) return Promise.resolve();
+    return new Promise(resolve => {
+      const wake = () => {
+        clearTimeout(timer);
+        this.sleepers.delete(wake);
+        resolve();
+      };
+      const timer = setTimeout(wake, ms);
+      this.sleepers.add(wake);
+    });
   }
 
   /**
    * For a given key+proxy, store the user data in a unique profile folder.
+   * Folders are named after the key fingerprint and the proxy address so neither the key nor
+   * the proxy credentials land on disk: a proxy with credentials adds a fingerprint of them.
    */
-  getProfilePath(the_key, proxy) {
-    const sanitized = `${the_key}_${proxy}`.replace(/[^a-zA-Z0-9]/g, '_');
-    return path.resolve(`./profiles/${sanitized}`);
+  getProfilePath(keyHash, proxy) {
+    const { username, password, ...address } = parseProxy(proxy);
+    let name = `${keyHash}_${formatProxy({ ...address, username: null })}`;
+    if (username !== null) {
+      name += `_${crypto.createHash('sha256').update(`${username}:${password}`).digest('hex').slice(0, 12)}`;
+    }
+    return path.resolve(`./profiles/${name.replace(/[^a-zA-Z0-9]/g, '_')}`);
+  }
+
+  /**
+   * Profiles are named after the proxy, so a key moved to another proxy takes its folder along
+   * (unless the new proxy already has one). Only call this while no browser runs on the folder.
+   */
+  moveProfile(keyHash, fromProxy, toProxy) {
+    const fromPath = this.getProfilePath(keyHash, fromProxy);
+    const toPath = this.getProfilePath(keyHash, toProxy);
+    if (fs.existsSync(fromPath) && !fs.existsSync(toPath)) {
+      fs.renameSync(fromPath, toPath);
+    }
+  }
+
+  /**
+   * Profiles used to be named after the raw key, and then after the key fingerprint and the
+   * full proxy string; rename such a folder to `profilePath` so the session keeps its logins.
+   */
+  adoptLegacyProfile(kp, profilePath) {
+    const { the_key, key_hash, proxy } = kp;
+    for (const owner of [the_key, key_hash]) {
+      const legacyPath = path.resolve(`./profiles/${`${owner}_${proxy}`.replace(/[^a-zA-Z0-9]/g, '_')}`);
+      if (legacyPath !== profilePath && fs.existsSync(legacyPath) && !fs.existsSync(profilePath)) {
+        fs.renameSync(legacyPath, profilePath);
+        logger.info(`Renamed the profile of key=${maskKey(the_key)} to ${path.basename(profilePath)}`);
+      }
+    }
   }
 
   /**
-   * Load each key with its proxy from DB:
-   *  keys.id, keys.the_key, keys_proxies.proxy
+   * Load each key with its proxy and declared services from DB:
+   *  keys.id, keys.the_key, keys_proxies.proxy, key_services.service
    *
    * Returns an array of objects like:
    *  [
-   *    { id: 1, the_key: 'someKeyValue', proxy: 'host:port' },
-   *    { id: 2, the_key: 'anotherKey', proxy: 'host2:port2' },
+   *    { id: 1, the_key: 'someKeyValue', key_hash: '3f9a...', proxy: 'host:port', services: ['cntp'] },
+   *    { id: 2, the_key: 'user:pass', key_hash: 'b41c...', proxy: 'host2:port2', services: ['gradient', 'toggle'] },
    *    ...
    *  ]
+   * Keys without declared services fall back to DEFAULT_SERVICES; unregistered services are dropped.
+   * Encrypted keys are decrypted here, which throws VaultLockedError while the vault is locked.
    */
   async loadKeyProxyData() {
     try {
       const db = await this.getDB();
       // Each key has exactly 1 proxy
       const rows = await db.all(`
-        SELECT k.id, k.the_key, kp.proxy
+        SELECT k.id, k.the_key, k.key_hash, kp.proxy, GROUP_CONCAT(ks.service) AS services
           FROM keys k
           JOIN keys_proxies kp ON k.id = kp.key_id
+          LEFT JOIN key_services ks ON k.id = ks.key_id
+         GROUP BY k.id, kp.proxy
       `);
 
-      return rows.map(r => ({
-        id: r.id,
-        the_key: r.the_key,
-        proxy: r.proxy
-      }));
+      const registered = getServices();
+      return rows.map(r => {
+        const declared = r.services ? r.services.split(',') : DEFAULT_SERVICES;
+        const services = declared.filter(service => {
+          if (!registered[service]) {
+            logger.warn(`Key id=${r.id} declares unknown service '${service}', ignoring it`);
+            return false;
+          }
+          return !this.services || this.services.includes(service);
+        });
+        return {
+          id: r.id,
+          the_key: openKey(r.the_key),
+          key_hash: r.key_hash,
+          proxy: r.proxy,
+          services
+        };
+      });
     } catch (error) {
+      if (error instanceof VaultLockedError) throw error;
       logger.error(`Failed to load keys+proxies from DB: ${error.message}`);
       return [];
     }
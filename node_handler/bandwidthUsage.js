@@ -0,0 +1,136 @@
+// bandwidthUsage.js
+//
+// Proxy traffic per key + proxy + service + day (UTC), counted by the proxy gateway and stored
+// in bandwidth_usage. Traffic is assigned to a service by the host it went to: the service's
+// `hosts` in config.services, or else the domains of its login_url and probe URLs. Anything
+// else (Chrome's own requests, CDNs) is booked as "other". Requests the browser blocked (see
+// requestBlocker.js) are counted too, with an estimate of the bytes they would have cost.
+
+const config = require('./config');
+const { getServices } = require('./serviceRegistry');
+const { DEFAULT_REPORT_DAYS } = require('./pointReports');
+
+const OTHER_SERVICE = 'other';
+const MB = 1024 * 1024;
+
+/**
+ * Domains whose traffic belongs to `service`, e.g. ["gradient.network"].
+ */
+function serviceHosts(service) {
+  const serviceConfig = config.services[service] || {};
+  if (serviceConfig.hosts) return serviceConfig.hosts;
+
+  const plugin = getServices()[service];
+  const urls = [serviceConfig.login_url, ...(plugin ? plugin.probes : []).map(probe => probe.url)];
+  const hosts = urls
+    .filter(url => /^https?:\/\//.test(url || ''))
+    .map(url => new URL(url).hostname.split('.').slice(-2).join('.'));
+  return [...new Set(hosts)];
+}
+
+/**
+ * Which of `services` a request to `hostname` belongs to, or "other".
+ */
+function serviceOfHost(hostname, services) {
+  const host = String(hostname || '').toLowerCase();
+  const match = services.find(service =>
+    serviceHosts(service).some(domain => host === domain || host.endsWith(`.${domain}`))
+  );
+  return match || OTHER_SERVICE;
+}
+
+/**
+ * Add bytes (and blocked requests) to today's row of (key, proxy, service).
+ */
+async function recordBandwidth(db, { keyId, proxy, service, bytesSent = 0, bytesReceived = 0, blockedRequests = 0, savedBytes = 0 }) {
+  await db.run(
+    `INSERT INTO bandwidth_usage (key_id, proxy, service, day, bytes_sent, bytes_received, blocked_requests, saved_bytes)
+     VALUES (?, ?, ?, date('now'), ?, ?, ?, ?)
+     ON CONFLICT (key_id, proxy, service, day) DO UPDATE
+       SET bytes_sent = bytes_sent + excluded.bytes_sent,
+           bytes_received = bytes_received + excluded.bytes_received,
+           blocked_requests = blocked_requests + excluded.blocked_requests,
+           saved_bytes = saved_bytes + excluded.saved_bytes,
+           updated_at = CURRENT_TIMESTAMP`,
+    [keyId, proxy, service, bytesSent, bytesReceived, blockedRequests, savedBytes]
+  );
+}
+
+/**
+ * Today's traffic of a key against its daily budget: { usedBytes, budgetBytes }.
+ * budgetBytes is null when the key has no budget (keys.bandwidth_budget_mb, or else
+ * BANDWIDTH_BUDGET_MB; 0 means unlimited).
+ */
+async function getBandwidthBudget(db, keyId) {
+  const row = await db.get(
+    `SELECT k.bandwidth_budget_mb AS budget_mb,
+            (SELECT COALESCE(SUM(bytes_sent + bytes_received), 0) FROM bandwidth_usage
+              WHERE key_id = k.id AND day = date('now')) AS used
+       FROM keys k WHERE k.id = ?`,
+    [keyId]
+  );
+  if (!row) return { usedBytes: 0, budgetBytes: null };
+  const budgetMB = row.budget_mb !== null ? row.budget_mb : config.BANDWIDTH_BUDGET_MB;
+  return { usedBytes: row.used, budgetBytes: budgetMB > 0 ? budgetMB * MB : null };
+}
+
+/**
+ * MB sent and received per day + key + proxy + service over the last `days` days, newest first,
+ * with the requests blocked and the (estimated) MB that saved.
+ */
+async function getDailyBandwidth(db, { days = DEFAULT_REPORT_DAYS, services = null } = {}) {
+  const filter = services && services.length > 0
+    ? { sql: `AND b.service IN (${services.map(() => '?').join(', ')})`, params: services }
+    : { sql: '', params: [] };
+  return db.all(
+    `SELECT b.day, 'key#' || k.key_hash AS the_key, b.proxy, b.service,
+            ROUND(b.bytes_sent / ${MB}.0, 2) AS mb_sent,
+            ROUND(b.bytes_received / ${MB}.0, 2) AS mb_received,
+            ROUND((b.bytes_sent + b.bytes_received) / ${MB}.0, 2) AS mb_total,
+            b.blocked_requests AS blocked,
+            ROUND(b.saved_bytes / ${MB}.0, 2) AS mb_saved_est
+       FROM bandwidth_usage b
+       JOIN keys k ON k.id = b.key_id
+      WHERE b.day >= date('now', ?) ${filter.sql}
+      ORDER BY b.day DESC, mb_total DESC`,
+    [`-${days - 1} days`, ...filter.params]
+  );
+}
+
+/**
+ * Per key: MB used today and over the last `days` days, its daily budget and whether today's
+ * traffic is over it. Keys with the most traffic today come first.
+ */
+async function getKeyBandwidth(db, { days = DEFAULT_REPORT_DAYS } = {}) {
+  const rows = await db.all(
+    `SELECT k.id AS key_id, 'key#' || k.key_hash AS the_key, k.bandwidth_budget_mb AS budget_mb,
+            COALESCE(SUM(CASE WHEN b.day = date('now') THEN b.bytes_sent + b.bytes_received END), 0) AS today,
+            COALESCE(SUM(b.bytes_sent + b.bytes_received), 0) AS total
+       FROM keys k
+       LEFT JOIN bandwidth_usage b ON b.key_id = k.id AND b.day >= date('now', ?)
+      GROUP BY k.id
+      ORDER BY today DESC, k.id`,
+    [`-${days - 1} days`]
+  );
+  return rows.map(row => {
+    const budgetMB = row.budget_mb !== null ? row.budget_mb : config.BANDWIDTH_BUDGET_MB;
+    return {
+      key_id: row.key_id,
+      the_key: row.the_key,
+      mb_today: Math.round(row.today / MB * 100) / 100,
+      mb_period: Math.round(row.total / MB * 100) / 100,
+      budget_mb: budgetMB > 0 ? budgetMB : null,
+      over_budget: budgetMB > 0 && row.today > budgetMB * MB
+    };
+  });
+}
+
+module.exports = {
+  OTHER_SERVICE,
+  serviceHosts,
+  serviceOfHost,
+  recordBandwidth,
+  getBandwidthBudget,
+  getDailyBandwidth,
+  getKeyBandwidth
+};
@@ -0,0 +1,64 @@
+// baseService.js
+const log4js = require('log4js');
+const config = require('./config');
+const { InvalidKeyError } = require('./errors');
+
+/**
+ * Common shape of a service plugin living in ./services.
+ *
+ * Every plugin exports an instance exposing:
+ *  - name            service name, also the key in config.services and task_monitoring.service
+ *  - extension       path to the .crx loaded into Chrome (or null for web-only services)
+ *  - probes          requests the proxy worker sends to decide if a proxy works for this service:
+ *                    [{ url, expectStatus = 200, expectBody }] where expectStatus may be a number
+ *                    or a list of numbers and expectBody is a substring the response must contain
+ *  - login(driver, key, proxyUrl)  => true
+ *  - check(driver, key, proxyUrl)  => numeric point value
+ *
+ * Both throw a TaskError (see errors.js) describing why they failed, so AutomationManager
+ * can tell a retry, a proxy failover and a permanent failure apart.
+ */
+class BaseService {
+  constructor(name, { extension = null, probes = [] } = {}) {
+    this.name = name;
+    this.extension = extension;
+    this.probes = probes;
+    this.logger = log4js.getLogger(`${name}Service`);
+  }
+
+  /**
+   * Selectors and URLs for this service from config.services.
+   */
+  get config() {
+    return config.services[this.name];
+  }
+
+  async login(driver, key, proxyUrl) {
+    throw new Error(`Service ${this.name} does not implement login()`);
+  }
+
+  async check(driver, key, proxyUrl) {
+    throw new Error(`Service ${this.name} does not implement check()`);
+  }
+
+  /**
+   * Username/password services take their key as "user:password".
+   */
+  parseCredentials(key) {
+    const separator = key.indexOf(':');
+    if (separator === -1) {
+      throw new InvalidKeyError(this.name, 'expected "user:password"');
+    }
+    return { username: key.slice(0, separator), password: key.slice(separator + 1) };
+  }
+
+  /**
+   * Turn a displayed value like "1,234.5 pts" into a number (0 when unreadable).
+   */
+  parsePoint(text) {
+    const point = parseFloat(String(text).replace(/,/g, ''));
+    return isNaN(point) ? 0 : point;
+  }
+}
+
+module.exports = BaseService;
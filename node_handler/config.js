@@ -2,7 +2,10 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const chrome = require('selenium-webdriver/chrome');
+const { logging } = require('selenium-webdriver');
 const log4js = require('log4js');
+const { redactingLayout } = require('./keyVault');
+const { getSettings } = require('./settings');
 
 // Ensure the output/log directory exists
 const logDir = path.resolve(__dirname, './output', 'log');
@@ -12,6 +15,10 @@ if (!fs.existsSync(logDir)) {
 }
 
 // ─── SERVICES CONFIGURATION ──────────────────────────────────────────────
+// A selector is XPath (starting with "/" or "(") or CSS, or a list of them tried in order
+// so a fallback keeps working when the first one drifts (see `node app.js check-selectors`).
+// Optional per service: `hosts` (domains its proxy traffic is booked under) and `block`
+// (requests not loaded on its pages, see BLOCK_RESOURCES).
 const services = {
   openloop: {
     login_url: "chrome-extension://effapmdildnpkiaeghlkicpfflpiambm/dist/popup/index.html",
@@ -77,8 +84,8 @@ const services = {
     login_url: "chrome-extension://ffccpciacnkgkkddhanggjlcajbbmmmn/popup.html",
     extension_url: "chrome-extension://ffccpciacnkgkkddhanggjlcajbbmmmn/popup.html",
     selectors: {
-      keyInput: '//*[@id="__plasmo"]/div/div/div[3]/input',
-      loginButton: '//*[@id="__plasmo"]/div/div/div[3]/button',
+      keyInput: ['//*[@id="__plasmo"]/div/div/div[3]/input', '//*[@id="__plasmo"]//input'],
+      loginButton: ['//*[@id="__plasmo"]/div/div/div[3]/button', '//*[@id="__plasmo"]//input/following-sibling::button'],
       loginConfirmElement: '//*[@id="__plasmo"]/div/div/div[2]/div[3]/div/p[1]',
       cntpValue: '//*[@id="__plasmo"]/div/div/div[2]/div[3]/div/p[2]'
     }
@@ -110,29 +117,76 @@ const services = {
   }
 };
 
-// ─── TIMEOUTS CONFIGURATION ───────────────────────────────────────────────
-const timeouts = {
-  element: 60000,
-  page: 60000,
-  action: 10000,
-  loginCheck: 10000,
-};
+// ─── SETTINGS ─────────────────────────────────────────────────────────────
+// Defaults, types and descriptions live in settings.js; config/settings.yaml and the
+// environment override them (see `node app.js config`).
+const { settings } = getSettings();
+
+const { timeouts } = settings;
 
 // ─── AUTOMATION CONSTANTS ─────────────────────────────────────────────────
-const MAX_LOGIN_RETRIES = 2;
-const PROFILE_CLEANUP_ON_FAILURE = true;
-const CHECK_INTERVAL = 360000; // 6 minutes
-const STAGGER_DELAY = 45000; // 30 seconds between account starts
-const USER_AGENT = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/112.0.0.0 Safari/537.36";
-const FAILED_TASKS_PATH = path.resolve('./output/fail_tasks.json');
-
-// ─── EXTENSIONS CONFIGURATION ─────────────────────────────────────────────
-const EXTENSIONS = {
-  cntp: { path: path.resolve('./crxs/cntp.crx') },
-};
+const MAX_LOGIN_RETRIES = settings.max_login_retries;
+const MAX_PROXY_FAILOVERS = settings.max_proxy_failovers;
+const MAX_TASK_RETRIES = settings.max_task_retries;
+const RETRY_BASE_DELAY = settings.retry_base_delay;
+const RETRY_MAX_DELAY = settings.retry_max_delay;
+const PROFILE_CLEANUP_ON_FAILURE = settings.profile_cleanup_on_failure;
+const CHECK_INTERVAL = settings.check_interval;
+const MONITOR_MODE = settings.monitor_mode;
+const DEFAULT_SERVICES = settings.default_services;
+const STAGGER_DELAY = settings.stagger_delay;
+const HEADLESS = settings.headless;
+const USER_AGENT = settings.user_agent;
+const CHROME_BINARY = settings.chrome_binary;
+const FAILED_TASKS_PATH = path.resolve(settings.failed_tasks_path);
+const CAPTURE_FAILURE_ARTIFACTS = settings.capture_failure_artifacts;
+const ARTIFACTS_DIR = path.resolve(settings.artifacts_dir);
+const MAGIC_LINK_TIMEOUT = settings.magic_link_timeout;
+const BROWSER_START_DELAY = settings.browser_start_delay;
+const PAGE_SETTLE_DELAY = settings.page_settle_delay;
+const LOGIN_SETTLE_DELAY = settings.login_settle_delay;
+
+// ─── SESSION POOL CONFIGURATION ───────────────────────────────────────────
+const MAX_CONCURRENT_DRIVERS = settings.max_concurrent_drivers;
+const MIN_FREE_MEMORY_MB = settings.min_free_memory_mb;
+const MAX_CPU_LOAD = settings.max_cpu_load;
+const ADMISSION_RETRY_DELAY = settings.admission_retry_delay;
+
+// ─── DASHBOARD ────────────────────────────────────────────────────────────
+const DASHBOARD_HOST = settings.dashboard_host;
+const DASHBOARD_PORT = settings.dashboard_port;
+
+// ─── PROXY GATEWAY ───────────────────────────────────────────────────────
+// Local proxy-chain server that routes every browser to its upstream proxy (see proxyGateway.js)
+const GATEWAY_HOST = settings.gateway_host;
+const GATEWAY_PORT = settings.gateway_port;
+
+// ─── BANDWIDTH ────────────────────────────────────────────────────────────
+const BANDWIDTH_FLUSH_INTERVAL = settings.bandwidth_flush_interval;
+// Daily traffic budget per key in MB (up + down, UTC day); 0 means unlimited.
+// keys.bandwidth_budget_mb overrides it per key (`node app.js bandwidth --key <key> --budget <MB>`).
+const BANDWIDTH_BUDGET_MB = settings.bandwidth_budget_mb;
+// Requests Chrome never sends on the login_url / extension_url pages of a service (see requestBlocker.js).
+// A service sets its own with `block: { resourceTypes, urlPatterns }` in `services`, or opts out with `block: false`.
+const BLOCK_RESOURCES = settings.block_resources;
+const BLOCKED_RESOURCE_TYPES = settings.blocked_resource_types;
+const BLOCKED_URL_PATTERNS = settings.blocked_url_patterns;
+// Typical size of a blocked request, to estimate the traffic saved
+const BLOCKED_REQUEST_BYTES = settings.blocked_request_bytes;
+
+// ─── PROXY CHECKS ─────────────────────────────────────────────────────────
+const PROXY_CHUNK_SIZE = settings.proxy_chunk_size;
+const EXIT_IP_URL = settings.exit_ip_url;
+const PROBE_TIMEOUT = settings.probe_timeout;
+const SCORE_WINDOW = settings.score_window;
+
+// ─── REPORTS ──────────────────────────────────────────────────────────────
+const DEFAULT_REPORT_DAYS = settings.default_report_days;
+const DEFAULT_STALL_HOURS = settings.default_stall_hours;
+const DEFAULT_EARNER_LIMIT = settings.default_earner_limit;
 
 // ─── CHROME OPTIONS SETUP ───────────────────────────────────────────────
-const configureChromeOptions = () => {
+const configureChromeOptions = ({ headless = HEADLESS } = {}) => {
   const options = new chrome.Options();
   const args = [
     `--user-agent=${USER_AGENT}`,
@@ -154,24 +208,37 @@ const configureChromeOptions = () => {
     // Reduce logging verbosity
     '--log-level=3',
     // '--vmodule=*/webrtc/*=0,*/libjingle/*=0',
-    // Run headless
-    '--headless'
   ];
 
+  // Run headless
+  if (headless) {
+    args.push('--headless');
+  }
+
   if (os.platform() === 'linux') {
-    args.push('--headless', '--no-sandbox', '--disable-gpu');
-    options.setChromeBinaryPath('/usr/bin/chromium-browser');
+    args.push('--no-sandbox', '--disable-gpu');
+  }
+  if (CHROME_BINARY) {
+    options.setChromeBinaryPath(CHROME_BINARY);
   }
 
   options.addArguments(args);
+
+  // Keep the browser console readable for failure artifacts
+  const loggingPrefs = new logging.Preferences();
+  loggingPrefs.setLevel(logging.Type.BROWSER, logging.Level.ALL);
+  options.setLoggingPrefs(loggingPrefs);
   return options;
 };
 
 // ─── LOG4JS CONFIGURATION ─────────────────────────────────────────────────
+// Keys never reach a log line in clear: every key the vault has seen is masked (see keyVault.js)
+log4js.addLayout('redacted', redactingLayout);
+
 log4js.configure({
     appenders: {
-      file: { type: 'file', filename: 'automation.log' },
-      console: { type: 'console' }
+      file: { type: 'file', filename: 'automation.log', layout: { type: 'redacted' } },
+      console: { type: 'console', layout: { type: 'redacted', base: 'coloured' } }
     },
     categories: {
       default: { appenders: ['console', 'file'], level: 'info' }
@@ -185,12 +252,46 @@ module.exports = {
   services,
   timeouts,
   MAX_LOGIN_RETRIES,
+  MAX_PROXY_FAILOVERS,
+  MAX_TASK_RETRIES,
+  RETRY_BASE_DELAY,
+  RETRY_MAX_DELAY,
   PROFILE_CLEANUP_ON_FAILURE,
   CHECK_INTERVAL,
+  MONITOR_MODE,
+  DEFAULT_SERVICES,
   STAGGER_DELAY,
+  HEADLESS,
   USER_AGENT,
+  CHROME_BINARY,
   FAILED_TASKS_PATH,
-  EXTENSIONS,
+  CAPTURE_FAILURE_ARTIFACTS,
+  ARTIFACTS_DIR,
+  MAGIC_LINK_TIMEOUT,
+  BROWSER_START_DELAY,
+  PAGE_SETTLE_DELAY,
+  LOGIN_SETTLE_DELAY,
+  MAX_CONCURRENT_DRIVERS,
+  MIN_FREE_MEMORY_MB,
+  MAX_CPU_LOAD,
+  ADMISSION_RETRY_DELAY,
+  DASHBOARD_HOST,
+  DASHBOARD_PORT,
+  GATEWAY_HOST,
+  GATEWAY_PORT,
+  BANDWIDTH_FLUSH_INTERVAL,
+  BANDWIDTH_BUDGET_MB,
+  BLOCK_RESOURCES,
+  BLOCKED_RESOURCE_TYPES,
+  BLOCKED_URL_PATTERNS,
+  BLOCKED_REQUEST_BYTES,
+  PROXY_CHUNK_SIZE,
+  EXIT_IP_URL,
+  PROBE_TIMEOUT,
+  SCORE_WINDOW,
+  DEFAULT_REPORT_DAYS,
+  DEFAULT_STALL_HOURS,
+  DEFAULT_EARNER_LIMIT,
   configureChromeOptions,
   logger
 };
@@ -0,0 +1,125 @@
+// errors.js
+const { maskProxy } = require('../proxy_handler/proxy_parser');
+
+// Chrome network errors that point at the proxy rather than the page
+const PROXY_ERROR_PATTERN = /ERR_(PROXY_[A-Z_]+|TUNNEL_CONNECTION_FAILED|SOCKS_[A-Z_]+|CONNECTION_(?:REFUSED|RESET|CLOSED|TIMED_OUT)|TIMED_OUT|NAME_NOT_RESOLVED|ADDRESS_UNREACHABLE|EMPTY_RESPONSE)/;
+
+// What AutomationManager does with a service task that failed with a given error
+const FAILURE_ACTION = {
+  RETRY: 'retry', // back off and try again later (see taskRetry.js)
+  FAILOVER: 'failover', // the proxy is at fault: move the key to a spare proxy
+  PERMANENT: 'permanent' // no retry will help until someone fixes it and runs retry-failed
+};
+
+/**
+ * Base class of every failure a service task can end with.
+ * `type` is the short code stored in task_monitoring.last_error and fail_tasks.json.
+ */
+class TaskError extends Error {
+  constructor(type, message, action = FAILURE_ACTION.RETRY) {
+    super(message);
+    this.name = 'TaskError';
+    this.type = type;
+    this.action = action;
+  }
+}
+
+/**
+ * An element the flow depends on never showed up (page changed, slow load...).
+ */
+class SelectorNotFoundError extends TaskError {
+  constructor(selector, detail) {
+    super('selector_not_found', `Element not found: ${selector} - ${detail}`);
+    this.name = 'SelectorNotFoundError';
+    this.selector = selector;
+  }
+}
+
+/**
+ * The service's extension isn't installed in the browser, so its pages can't open.
+ */
+class ExtensionNotLoadedError extends TaskError {
+  constructor(service, detail) {
+    super('extension_not_loaded', `${service} extension not loaded: ${detail}`, FAILURE_ACTION.PERMANENT);
+    this.name = 'ExtensionNotLoadedError';
+    this.service = service;
+  }
+}
+
+/**
+ * The key itself is malformed or was rejected by the service.
+ */
+class InvalidKeyError extends TaskError {
+  constructor(service, detail) {
+    super('invalid_key', `Invalid key for ${service}: ${detail}`, FAILURE_ACTION.PERMANENT);
+    this.name = 'InvalidKeyError';
+    this.service = service;
+  }
+}
+
+/**
+ * Raised when a session failed because its proxy can no longer carry traffic
+ * (connection refused, tunnel failure, page load timeout...), as opposed to a
+ * problem with the account or the extension. AutomationManager reacts by failing
+ * the key over to a spare proxy instead of marking its tasks "failed".
+ */
+class ProxyFailureError extends TaskError {
+  constructor(proxy, reason) {
+    super('proxy_failed', `Proxy ${maskProxy(proxy)} failed: ${reason}`, FAILURE_ACTION.FAILOVER);
+    this.name = 'ProxyFailureError';
+    this.proxy = proxy;
+    this.reason = reason;
+  }
+}
+
+/**
+ * An encrypted key was needed while the key vault is still locked.
+ */
+class VaultLockedError extends Error {
+  constructor() {
+    super('The key vault is locked: set KEY_VAULT_PASSPHRASE or enter the passphrase when asked');
+    this.name = 'VaultLockedError';
+  }
+}
+
+/**
+ * The settings file or environment holds settings that are unknown or of the wrong type
+ * (see settings.js). The message lists every problem.
+ */
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+/**
+ * Wrap any error thrown during a task into a TaskError.
+ * Chrome proxy errors become a ProxyFailureError when the proxy is known; anything
+ * unrecognised becomes a retryable TaskError of `fallbackType`.
+ */
+function toTaskError(error, fallbackType, proxy = null) {
+  if (error instanceof TaskError) return error;
+
+  const message = error && error.message ? error.message : String(error);
+  const proxyError = PROXY_ERROR_PATTERN.exec(message);
+  if (proxyError) {
+    return proxy
+      ? new ProxyFailureError(proxy, proxyError[0])
+      : new TaskError('proxy_failed', message, FAILURE_ACTION.FAILOVER);
+  }
+  return new TaskError(fallbackType, message);
+}
+
+module.exports = {
+  PROXY_ERROR_PATTERN,
+  FAILURE_ACTION,
+  TaskError,
+  SelectorNotFoundError,
+  ExtensionNotLoadedError,
+  InvalidKeyError,
+  ProxyFailureError,
+  VaultLockedError,
+  ConfigError,
+  toTaskError
+};
@@ -0,0 +1,64 @@
+// failureArtifacts.js
+const fs = require('fs');
+const path = require('path');
+const { logging } = require('selenium-webdriver');
+const { ARTIFACTS_DIR, logger } = require('./config');
+const { redactSecrets } = require('./keyVault');
+
+/**
+ * Save what the browser showed when a login/check failed, in ARTIFACTS_DIR/<key id>/<timestamp>/:
+ *  - screenshot.png  the visible page
+ *  - page.html       the DOM source
+ *  - console.log     the browser console since the last capture
+ *  - failure.json    service, error type and message, current URL
+ * Each part is saved on its own, so a dead session still leaves whatever could be read.
+ * Resolves with the folder relative to the working directory, or null if nothing was saved.
+ */
+async function captureFailureArtifacts(driver, keyId, service, error) {
+  const timestamp = new Date().toISOString();
+  const dir = path.join(ARTIFACTS_DIR, String(keyId), timestamp.replace(/[:.]/g, '-'));
+  const saved = [];
+
+  const save = async (file, read) => {
+    try {
+      const content = await read();
+      if (!saved.length) fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, file), content);
+      saved.push(file);
+    } catch (captureError) {
+      logger.warn(`[ARTIFACTS] Could not capture ${file} for ${service}: ${captureError.message}`);
+    }
+  };
+
+  let url = null;
+  try {
+    url = await driver.getCurrentUrl();
+  } catch (urlError) {
+    // Reported in failure.json as null
+  }
+
+  await save('screenshot.png', async () => Buffer.from(await driver.takeScreenshot(), 'base64'));
+  await save('page.html', async () => redactSecrets(await driver.getPageSource()));
+  await save('console.log', async () => {
+    const entries = await driver.manage().logs().get(logging.Type.BROWSER);
+    return redactSecrets(entries
+      .map(entry => `${new Date(entry.timestamp).toISOString()} ${entry.level.name} ${entry.message}`)
+      .join('\n'));
+  });
+  await save('failure.json', async () => JSON.stringify({
+    service,
+    error: error.type,
+    message: redactSecrets(error.message),
+    url,
+    timestamp
+  }, null, 2));
+
+  if (!saved.length) return null;
+  const relative = path.relative(process.cwd(), dir);
+  logger.info(`[ARTIFACTS] Saved ${saved.join(', ')} to ${relative}`);
+  return relative;
+}
+
+module.exports = {
+  captureFailureArtifacts
+};
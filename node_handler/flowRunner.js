@@ -0,0 +1,202 @@
+// flowRunner.js
+//
+// Interpreter for declarative service flows (see ./flows). A flow is a list of steps; each
+// step is an object with exactly one action key plus its options:
+//
+//   { "navigate": "login_url" }                      URL name from config.services, or a literal URL
+//   { "waitFor": "loginConfirmElement", "timeout": 20000 }
+//   { "type": "username", "text": "{{username}}" }
+//   { "click": "continueButton", "optional": true }  optional: don't fail if it isn't there
+//   { "sleep": 3000 }
+//   { "readText": "earnings", "as": "earnings", "default": "N/A" }
+//   { "assert": "loginConfirmElement", "timeout": 20000, "error": "invalid_key", "message": "..." }
+//   { "assert": "keyInput", "absent": true, "timeout": 2000, "error": "invalid_key" }
+//   { "branchIfPresent": "loginConfirmElement", "timeout": 10000, "then": [...], "else": [...] }
+//
+// Selector options name an entry of the service's selector map in config.services.
+// "timeout" and "sleep" take milliseconds or the name of a setting, e.g. "timeouts.loginCheck"
+// or "page_settle_delay" (see settings.js).
+// "{{name}}" in text and URLs is replaced by a flow variable: key, username, password,
+// or anything stored earlier by readText.
+
+const config = require('./config');
+const { getSettings } = require('./settings');
+const { SelectorNotFoundError, InvalidKeyError, TaskError } = require('./errors');
+const {
+  waitForElement,
+  checkElementExsist,
+  safeClick,
+  clickElement,
+  enterText,
+  openExtensionPage
+} = require('./automationHelpers');
+
+// Option holding the selector name, per action (null: the action takes no selector)
+const STEP_ACTIONS = {
+  navigate: null,
+  waitFor: 'waitFor',
+  type: 'type',
+  click: 'click',
+  sleep: null,
+  readText: 'readText',
+  assert: 'assert',
+  branchIfPresent: 'branchIfPresent'
+};
+
+const URL_NAMES = ['login_url', 'extension_url'];
+
+function stepAction(step) {
+  const actions = Object.keys(step).filter(name => name in STEP_ACTIONS);
+  return actions.length === 1 ? actions[0] : null;
+}
+
+/**
+ * Milliseconds of a "timeout" or "sleep" option: the number itself, or the value of the setting
+ * it names. undefined when it is neither.
+ */
+function toMilliseconds(value) {
+  const ms = typeof value === 'string'
+    ? value.split('.').reduce((node, name) => (node && typeof node === 'object' ? node[name] : undefined), getSettings().settings)
+    : value;
+  return Number.isInteger(ms) && ms >= 0 ? ms : undefined;
+}
+
+/**
+ * Replace every "{{name}}" in `text` with the flow variable of that name.
+ */
+function interpolate(text, vars) {
+  return String(text).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    if (!(name in vars)) throw new Error(`Flow variable "${name}" is not set`);
+    return vars[name];
+  });
+}
+
+/**
+ * Check a list of steps against the service's selector map and URLs.
+ * Returns a list of problems ("login[2]: unknown selector foo"), empty when the flow is valid.
+ */
+function validateSteps(steps, serviceConfig, where) {
+  if (!Array.isArray(steps)) return [`${where}: expected a list of steps`];
+
+  const selectors = (serviceConfig && serviceConfig.selectors) || {};
+  const problems = [];
+  steps.forEach((step, index) => {
+    const at = `${where}[${index}]`;
+    const action = step && typeof step === 'object' ? stepAction(step) : null;
+    if (!action) {
+      problems.push(`${at}: a step needs exactly one of ${Object.keys(STEP_ACTIONS).join(', ')}`);
+      return;
+    }
+
+    const selectorOption = STEP_ACTIONS[action];
+    if (selectorOption && !selectors[step[selectorOption]]) {
+      problems.push(`${at}: unknown selector "${step[selectorOption]}"`);
+    }
+    if (action === 'navigate') {
+      if (URL_NAMES.includes(step.navigate)) {
+        if (!(serviceConfig && serviceConfig[step.navigate])) problems.push(`${at}: ${step.navigate} is not configured`);
+      } else if (!/^[a-z-]+:\/\/|\{\{/.test(step.navigate)) {
+        problems.push(`${at}: navigate expects ${URL_NAMES.join(', ')} or a URL`);
+      }
+    }
+    if (action === 'sleep' && toMilliseconds(step.sleep) === undefined) {
+      problems.push(`${at}: sleep expects milliseconds or a setting name`);
+    }
+    if (step.timeout !== undefined && toMilliseconds(step.timeout) === undefined) {
+      problems.push(`${at}: timeout expects milliseconds or a setting name`);
+    }
+    if (action === 'type' && step.text === undefined) {
+      problems.push(`${at}: type needs "text"`);
+    }
+    if (action === 'readText' && !step.as) {
+      problems.push(`${at}: readText needs "as"`);
+    }
+    if (action === 'branchIfPresent') {
+      problems.push(...validateSteps(step.then || [], serviceConfig, `${at}.then`));
+      problems.push(...validateSteps(step.else || [], serviceConfig, `${at}.else`));
+    }
+  });
+  return problems;
+}
+
+/**
+ * Error raised by a failed assert step: `invalid_key` is permanent, anything else is a
+ * SelectorNotFoundError (retried with backoff) unless another type is named.
+ */
+function assertionError(step, serviceName, selector) {
+  const message = step.message || `${step.assert} is ${step.absent ? 'present' : 'missing'}`;
+  if (step.error === 'invalid_key') return new InvalidKeyError(serviceName, message);
+  if (!step.error || step.error === 'selector_not_found') return new SelectorNotFoundError(selector, message);
+  return new TaskError(step.error, message);
+}
+
+/**
+ * Run `steps` against `driver` for the service `context.service`.
+ * `context.vars` holds the flow variables and receives the readText results.
+ */
+async function runSteps(driver, steps, context) {
+  const { service, logger, vars } = context;
+  const serviceConfig = config.services[service];
+  const selector = name => serviceConfig.selectors[name];
+
+  for (const step of steps) {
+    const action = stepAction(step);
+    const timeout = toMilliseconds(step.timeout);
+    logger.debug(`[FLOW] ${service}: ${action} ${action === 'sleep' ? step.sleep : step[action]}`);
+
+    switch (action) {
+      case 'navigate': {
+        const url = URL_NAMES.includes(step.navigate) ? serviceConfig[step.navigate] : interpolate(step.navigate, vars);
+        if (url.startsWith('chrome-extension://')) {
+          await openExtensionPage(driver, url, service);
+        } else {
+          await driver.get(url);
+        }
+        break;
+      }
+      case 'waitFor':
+        await waitForElement(driver, selector(step.waitFor), timeout);
+        break;
+      case 'type':
+        await enterText(driver, selector(step.type), interpolate(step.text, vars));
+        break;
+      case 'click':
+        if (step.optional) {
+          await safeClick(driver, selector(step.click), timeout);
+        } else {
+          await clickElement(driver, selector(step.click));
+        }
+        break;
+      case 'sleep':
+        await driver.sleep(toMilliseconds(step.sleep));
+        break;
+      case 'readText':
+        try {
+          vars[step.as] = await (await waitForElement(driver, selector(step.readText), timeout)).getText();
+        } catch (error) {
+          if (step.default === undefined) throw error;
+          logger.warn(`Element not found: ${selector(step.readText)}`);
+          vars[step.as] = step.default;
+        }
+        break;
+      case 'assert':
+        if (await checkElementExsist(driver, selector(step.assert), timeout) === Boolean(step.absent)) {
+          throw assertionError(step, service, selector(step.assert));
+        }
+        break;
+      case 'branchIfPresent': {
+        const present = await checkElementExsist(driver, selector(step.branchIfPresent), timeout);
+        await runSteps(driver, (present ? step.then : step.else) || [], context);
+        break;
+      }
+    }
+  }
+  return vars;
+}
+
+module.exports = {
+  STEP_ACTIONS,
+  interpolate,
+  validateSteps,
+  runSteps
+};
@@ -0,0 +1,123 @@
+// flowService.js
+const fs = require('fs');
+const path = require('path');
+const BaseService = require('./baseService');
+const config = require('./config');
+const { maskKey } = require('./keyVault');
+const { toTaskError } = require('./errors');
+const { validateSteps, interpolate, runSteps } = require('./flowRunner');
+
+const FLOWS_DIR = path.join(__dirname, 'flows');
+const FLOW_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/**
+ * A service plugin described by a flow file instead of a hand-written class:
+ *
+ *  {
+ *    "name": "openloop",                 key in config.services (selectors and URLs)
+ *    "extension": "openloop.crx",        file in ./crxs, omit for web-only services
+ *    "credentials": "user:password",     split the key into {{username}} / {{password}}
+ *    "probes": [{ "url": "https://openloop.so/", "expectStatus": 200 }],
+ *    "login": [ ...steps ],              see flowRunner.js
+ *    "check": [ ...steps ],
+ *    "point": "{{earnings}}"             value check() returns, parsed as a number
+ *  }
+ */
+class FlowService extends BaseService {
+  constructor(flow) {
+    super(flow.name, {
+      extension: flow.extension ? path.resolve('./crxs', flow.extension) : null,
+      probes: flow.probes || []
+    });
+    this.flow = flow;
+  }
+
+  /**
+   * Flow variables available to a run for this key.
+   */
+  variables(key) {
+    const vars = { key };
+    if (this.flow.credentials === 'user:password') {
+      Object.assign(vars, this.parseCredentials(key));
+    }
+    return vars;
+  }
+
+  async login(driver, key, proxyUrl) {
+    try {
+      this.logger.info(`Starting ${this.name} login for ${maskKey(key)}`);
+      await runSteps(driver, this.flow.login, { service: this.name, logger: this.logger, vars: this.variables(key) });
+      this.logger.info(`Login success for ${this.name} ${maskKey(key)}`);
+      return true;
+    } catch (error) {
+      this.logger.error(`${this.name} login failed for ${maskKey(key)}: ${error.message}`);
+      throw toTaskError(error, 'login_failed', proxyUrl);
+    }
+  }
+
+  async check(driver, key, proxyUrl) {
+    try {
+      const base = this.variables(key);
+      const vars = await runSteps(driver, this.flow.check, { service: this.name, logger: this.logger, vars: { ...base } });
+      const readings = Object.keys(vars)
+        .filter(name => !(name in base))
+        .map(name => `${name}: ${vars[name]}`);
+      this.logger.info(`${this.name} status for ${maskKey(key)}: ${readings.join(', ')}`);
+      return this.parsePoint(interpolate(this.flow.point, vars));
+    } catch (error) {
+      this.logger.error(`${this.name} check failed for ${maskKey(key)}: ${error.message}`);
+      throw toTaskError(error, 'check_failed', proxyUrl);
+    }
+  }
+}
+
+/**
+ * Parse a .json, .yaml or .yml flow file.
+ */
+function readFlowFile(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  if (path.extname(file) === '.json') return JSON.parse(content);
+  // Only needed by YAML flows, so JSON-only setups don't depend on it
+  return require('yaml').parse(content);
+}
+
+/**
+ * Load and validate one flow file. Throws with every problem found.
+ */
+function loadFlow(file) {
+  const flow = readFlowFile(file);
+  const where = path.basename(file);
+  if (!flow || typeof flow.name !== 'string') {
+    throw new Error(`Flow ${where} must have a "name"`);
+  }
+
+  const serviceConfig = config.services[flow.name];
+  const problems = [];
+  if (!serviceConfig) problems.push(`config.services has no "${flow.name}" entry`);
+  problems.push(...validateSteps(flow.login, serviceConfig, 'login'));
+  problems.push(...validateSteps(flow.check, serviceConfig, 'check'));
+  if (typeof flow.point !== 'string') problems.push('"point" must name the value check() returns, e.g. "{{earnings}}"');
+
+  if (problems.length > 0) {
+    throw new Error(`Flow ${where} is invalid:\n  ${problems.join('\n  ')}`);
+  }
+  return new FlowService(flow);
+}
+
+/**
+ * Every flow file in `dir`, as service plugins.
+ */
+function loadFlows(dir = FLOWS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => FLOW_EXTENSIONS.includes(path.extname(file)))
+    .sort()
+    .map(file => loadFlow(path.join(dir, file)));
+}
+
+module.exports = {
+  FLOWS_DIR,
+  FlowService,
+  loadFlow,
+  loadFlows
+};
@@ -0,0 +1,186 @@
+// keyVault.js
+const crypto = require('crypto');
+const layouts = require('log4js/lib/layouts');
+const { VaultLockedError } = require('./errors');
+
+// Environment variable that unlocks the vault without a prompt
+const VAULT_PASSPHRASE_ENV = 'KEY_VAULT_PASSPHRASE';
+// An encrypted value: enc:v1:<salt>:<iv>:<auth tag>:<ciphertext>, all base64
+const ENCRYPTED_PREFIX = 'enc:v1:';
+// First line of a key file written by `encrypt-keys`; the second line is the encrypted file body
+const VAULT_FILE_HEADER = '# cntp_nodeverse key vault v1';
+const KEY_HASH_LENGTH = 12;
+// Shorter values would mask ordinary words in log lines
+const MIN_SECRET_LENGTH = 8;
+
+let passphrase = null;
+let writeSalt = null;
+const derivedKeys = new Map(); // salt -> AES-256 key, scrypt is slow enough to be worth caching
+
+const secrets = new Set();
+let secretPattern = null;
+
+// ─── KEY IDENTITY ─────────────────────────────────────────────────────────
+
+/**
+ * Stable, non-reversible ID of a key, used for profile folders, fail_tasks.json and logs.
+ */
+function keyFingerprint(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, KEY_HASH_LENGTH);
+}
+
+function keyLabel(hash) {
+  return `key#${hash}`;
+}
+
+/**
+ * How a key appears anywhere it could be seen: "key#<fingerprint>".
+ */
+function maskKey(key) {
+  return keyLabel(keyFingerprint(key));
+}
+
+/**
+ * Accept a key label ("key#ab12..."), a bare fingerprint or the raw key, and return the fingerprint.
+ */
+function resolveKeyHash(value) {
+  const match = new RegExp(`^(?:key#)?([0-9a-f]{${KEY_HASH_LENGTH}})$`).exec(value);
+  return match ? match[1] : keyFingerprint(value);
+}
+
+// ─── VAULT ────────────────────────────────────────────────────────────────
+
+function unlockVault(secret) {
+  if (!secret) throw new Error('Empty vault passphrase');
+  passphrase = secret;
+  writeSalt = crypto.randomBytes(16).toString('base64');
+}
+
+/**
+ * Unlock the vault from KEY_VAULT_PASSPHRASE if it is set. Returns whether the vault is unlocked.
+ */
+function unlockVaultFromEnv() {
+  if (!passphrase && process.env[VAULT_PASSPHRASE_ENV]) {
+    unlockVault(process.env[VAULT_PASSPHRASE_ENV]);
+  }
+  return isVaultUnlocked();
+}
+
+function isVaultUnlocked() {
+  return passphrase !== null;
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+function deriveKey(salt) {
+  if (!passphrase) throw new VaultLockedError();
+  if (!derivedKeys.has(salt)) {
+    derivedKeys.set(salt, crypto.scryptSync(passphrase, Buffer.from(salt, 'base64'), 32));
+  }
+  return derivedKeys.get(salt);
+}
+
+function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(writeSalt), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return ENCRYPTED_PREFIX + [writeSalt, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => Buffer.isBuffer(part) ? part.toString('base64') : part)
+    .join(':');
+}
+
+function decryptSecret(value) {
+  if (!isEncrypted(value)) return value;
+
+  const [salt, iv, tag, ciphertext] = value.slice(ENCRYPTED_PREFIX.length).split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(salt), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  try {
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error('Could not decrypt key: wrong vault passphrase?');
+  }
+}
+
+/**
+ * The value to store in keys.the_key: encrypted when the vault is unlocked, as-is otherwise.
+ */
+function sealKey(key) {
+  registerSecret(key);
+  return isVaultUnlocked() ? encryptSecret(key) : key;
+}
+
+/**
+ * The usable key from a keys.the_key value. Throws VaultLockedError for encrypted keys while locked.
+ */
+function openKey(stored) {
+  const key = decryptSecret(stored);
+  registerSecret(key);
+  return key;
+}
+
+function isVaultFile(content) {
+  return content.startsWith(VAULT_FILE_HEADER);
+}
+
+function encryptKeyFile(content) {
+  return `${VAULT_FILE_HEADER}\n${encryptSecret(content)}\n`;
+}
+
+function decryptKeyFile(content) {
+  if (!isVaultFile(content)) return content;
+  return decryptSecret(content.slice(VAULT_FILE_HEADER.length).trim());
+}
+
+// ─── LOG REDACTION ────────────────────────────────────────────────────────
+
+/**
+ * Remember a raw key so it gets masked wherever it shows up in a log line.
+ */
+function registerSecret(key) {
+  if (!key || key.length < MIN_SECRET_LENGTH || secrets.has(key)) return;
+  secrets.add(key);
+  secretPattern = null;
+}
+
+function redactSecrets(text) {
+  if (secrets.size === 0) return text;
+  if (!secretPattern) {
+    // Longest first, so a key containing another key is masked whole
+    const escaped = [...secrets]
+      .sort((a, b) => b.length - a.length)
+      .map(s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    secretPattern = new RegExp(escaped.join('|'), 'g');
+  }
+  return text.replace(secretPattern, maskKey);
+}
+
+/**
+ * log4js layout generator: the `base` layout ("basic" or "coloured") with every registered key masked.
+ */
+function redactingLayout({ base = 'basic' } = {}) {
+  const format = base === 'coloured' ? layouts.colouredLayout : layouts.basicLayout;
+  return (loggingEvent, timezoneOffset) => redactSecrets(format(loggingEvent, timezoneOffset));
+}
+
+module.exports = {
+  VAULT_PASSPHRASE_ENV,
+  keyFingerprint,
+  keyLabel,
+  maskKey,
+  resolveKeyHash,
+  unlockVault,
+  unlockVaultFromEnv,
+  isVaultUnlocked,
+  isEncrypted,
+  sealKey,
+  openKey,
+  isVaultFile,
+  encryptKeyFile,
+  decryptKeyFile,
+  registerSecret,
+  redactSecrets,
+  redactingLayout
+};
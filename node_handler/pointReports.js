@@ -0,0 +1,122 @@
+// pointReports.js
+//
+// Aggregates over point_readings (one row per successful check). Readings are treated as a
+// running total per key + service, so growth is the difference between two readings.
+// Keys are reported by their key#<hash> label, never the raw key.
+
+const { DEFAULT_REPORT_DAYS, DEFAULT_STALL_HOURS, DEFAULT_EARNER_LIMIT } = require('./config');
+
+function serviceClause(column, services) {
+  if (!services || services.length === 0) return { sql: '', params: [] };
+  return {
+    sql: `AND ${column} IN (${services.map(() => '?').join(', ')})`,
+    params: services
+  };
+}
+
+/**
+ * Points gained per key + service per day over the last `days` days, newest day first.
+ * A day's delta is its last reading minus the previous day's last reading
+ * (or minus its own first reading on the key's first day).
+ */
+async function getDailyDeltas(db, { days = DEFAULT_REPORT_DAYS, services = null } = {}) {
+  const filter = serviceClause('r.service', services);
+  return db.all(
+    `WITH ranked AS (
+       SELECT r.key_id, r.service, r.proxy, date(r.recorded_at) AS day, r.point,
+              ROW_NUMBER() OVER (PARTITION BY r.key_id, r.service, date(r.recorded_at)
+                                 ORDER BY r.recorded_at DESC, r.id DESC) AS newest,
+              FIRST_VALUE(r.point) OVER (PARTITION BY r.key_id, r.service, date(r.recorded_at)
+                                         ORDER BY r.recorded_at, r.id) AS opening
+         FROM point_readings r
+        WHERE 1 = 1 ${filter.sql}
+     ),
+     closing AS (
+       SELECT key_id, service, proxy, day, opening, point,
+              LAG(point) OVER (PARTITION BY key_id, service ORDER BY day) AS previous
+         FROM ranked
+        WHERE newest = 1
+     )
+     SELECT c.day, 'key#' || k.key_hash AS the_key, c.service, c.proxy, c.point,
+            c.point - COALESCE(c.previous, c.opening) AS delta
+       FROM closing c
+       JOIN keys k ON k.id = c.key_id
+      WHERE c.day >= date('now', ?)
+      ORDER BY c.day DESC, delta DESC`,
+    [...filter.params, `-${days - 1} days`]
+  );
+}
+
+/**
+ * Keys whose points haven't moved for at least `hours` hours, longest stalled first.
+ * `unchanged_since` is the first reading of the current value, so a key whose monitor
+ * stopped reporting altogether shows up here too.
+ */
+async function getStalledAccounts(db, { hours = DEFAULT_STALL_HOURS, services = null } = {}) {
+  const filter = serviceClause('service', services);
+  return db.all(
+    `WITH latest AS (
+       SELECT key_id, service, proxy, point, MAX(recorded_at) AS last_reading
+         FROM point_readings
+        WHERE 1 = 1 ${filter.sql}
+        GROUP BY key_id, service
+     ),
+     runs AS (
+       SELECT l.*,
+              (SELECT MIN(r.recorded_at) FROM point_readings r
+                WHERE r.key_id = l.key_id AND r.service = l.service
+                  AND r.recorded_at > COALESCE(
+                    (SELECT MAX(o.recorded_at) FROM point_readings o
+                      WHERE o.key_id = l.key_id AND o.service = l.service AND o.point != l.point),
+                    '')) AS unchanged_since
+         FROM latest l
+     )
+     SELECT 'key#' || k.key_hash AS the_key, r.service, r.proxy, r.point, r.unchanged_since, r.last_reading
+       FROM runs r
+       JOIN keys k ON k.id = r.key_id
+      WHERE r.unchanged_since <= datetime('now', ?)
+      ORDER BY r.unchanged_since`,
+    [...filter.params, `-${hours} hours`]
+  );
+}
+
+/**
+ * Keys ranked by points gained over the last `hours` hours (highest first, or lowest with
+ * `bottom`). Gain is the latest reading minus the last reading before the window, falling
+ * back to the first reading for keys that started inside it.
+ */
+async function getEarners(db, { hours = DEFAULT_STALL_HOURS, limit = DEFAULT_EARNER_LIMIT, bottom = false, services = null } = {}) {
+  const filter = serviceClause('service', services);
+  const since = `-${hours} hours`;
+  return db.all(
+    `WITH latest AS (
+       SELECT key_id, service, proxy, point, MAX(recorded_at) AS last_reading
+         FROM point_readings
+        WHERE 1 = 1 ${filter.sql}
+        GROUP BY key_id, service
+     )
+     SELECT 'key#' || k.key_hash AS the_key, l.service, l.proxy, l.point,
+            l.point - COALESCE(
+              (SELECT r.point FROM point_readings r
+                WHERE r.key_id = l.key_id AND r.service = l.service AND r.recorded_at <= datetime('now', ?)
+                ORDER BY r.recorded_at DESC, r.id DESC LIMIT 1),
+              (SELECT r.point FROM point_readings r
+                WHERE r.key_id = l.key_id AND r.service = l.service
+                ORDER BY r.recorded_at, r.id LIMIT 1)
+            ) AS gain
+       FROM latest l
+       JOIN keys k ON k.id = l.key_id
+      ORDER BY gain ${bottom ? 'ASC' : 'DESC'}, k.key_hash
+      LIMIT ?`,
+    [...filter.params, since, limit]
+  );
+}
+
+module.exports = {
+  DEFAULT_REPORT_DAYS,
+  DEFAULT_STALL_HOURS,
+  DEFAULT_EARNER_LIMIT,
+  getDailyDeltas,
+  getStalledAccounts,
+  getEarners
+};
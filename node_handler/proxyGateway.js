@@ -0,0 +1,256 @@
+// proxyGateway.js
+const net = require('net');
+const crypto = require('crypto');
+const { Server, RequestError } = require('proxy-chain');
+const { GATEWAY_HOST, GATEWAY_PORT, logger } = require('./config');
+
+/**
+ * One in-process proxy-chain server in front of every browser's upstream proxy.
+ *
+ * Each browser session gets a route to its upstream, reachable two ways:
+ *  - its own loopback port, whose connections are handed to the shared server. Chrome can't
+ *    answer proxy auth prompts, so browsers use this one.
+ *  - the gateway port with the route's username/password, for clients that send credentials.
+ * A route's upstream can be swapped while the browser runs (setUpstream), its traffic cut off
+ * (suspend), and per-route request and traffic counters are kept (getStats, takeTraffic).
+ */
+class ProxyGateway {
+  constructor({ host = GATEWAY_HOST, port = GATEWAY_PORT } = {}) {
+    this.host = host;
+    this.port = port;
+    this.server = null;
+    this.starting = null;
+    this.routes = new Map(); // route id -> route
+    this.lastRouteId = 0;
+  }
+
+  /**
+   * Start the shared server once; later calls wait for the same start.
+   */
+  start() {
+    if (!this.starting) {
+      this.server = new Server({
+        host: this.host,
+        port: this.port,
+        prepareRequestFunction: options => this.prepareRequest(options)
+      });
+      this.server.on('connectionClosed', ({ connectionId, stats }) => this.onConnectionClosed(connectionId, stats));
+      this.server.on('requestFailed', ({ request, error }) => {
+        const route = this.routeOfConnection(request.socket.proxyChainId);
+        if (route) route.stats.failures++;
+        logger.debug(`[GATEWAY] ${route ? route.id : 'unrouted'} request failed: ${error.message}`);
+      });
+      this.starting = this.server.listen().then(() => {
+        logger.info(`[GATEWAY] Listening on ${this.host}:${this.server.port}`);
+      });
+    }
+    return this.starting;
+  }
+
+  /**
+   * Open a route to `upstream` (a proxy URL). `label` names the route in logs.
+   * Resolves with { id, url, authUrl }: url is the route's own port, authUrl the shared port
+   * with the route's credentials.
+   */
+  async open(upstream, label = '') {
+    await this.start();
+
+    const route = {
+      id: `s${++this.lastRouteId}`,
+      label,
+      upstream,
+      password: crypto.randomBytes(12).toString('hex'),
+      listener: null,
+      port: null,
+      connections: new Set(), // proxy-chain connection ids
+      suspended: null, // reason requests are refused, see suspend()
+      stats: { requests: 0, failures: 0, bytesSent: 0, bytesReceived: 0 },
+      // For takeTraffic(): target host of each connection, bytes of open connections already
+      // taken, and bytes of closed connections not taken yet (host -> counters)
+      connectionHosts: new Map(),
+      taken: new Map(),
+      untaken: new Map()
+    };
+    route.listener = net.createServer(socket => {
+      socket.gatewayRoute = route;
+      this.server.server.emit('connection', socket);
+    });
+    await new Promise((resolve, reject) => {
+      route.listener.once('error', reject);
+      route.listener.listen(0, this.host, resolve);
+    });
+    route.port = route.listener.address().port;
+    this.routes.set(route.id, route);
+
+    logger.debug(`[GATEWAY] Opened route ${route.id} ${label} on port ${route.port}`);
+    return {
+      id: route.id,
+      url: `http://${this.host}:${route.port}`,
+      authUrl: `http://${route.id}:${route.password}@${this.host}:${this.server.port}`
+    };
+  }
+
+  /**
+   * Send the route's new requests through `upstream`. Open connections still use the old
+   * upstream, so they are dropped and the browser reconnects through the new one.
+   */
+  setUpstream(id, upstream) {
+    const route = this.routes.get(id);
+    if (!route) return false;
+
+    route.upstream = upstream;
+    for (const connectionId of route.connections) {
+      this.server.closeConnection(connectionId);
+    }
+    logger.info(`[GATEWAY] Route ${route.id} ${route.label} switched upstream, dropped ${route.connections.size} connection(s)`);
+    return true;
+  }
+
+  /**
+   * Refuse every further request of the route (403) and drop its open connections,
+   * e.g. once the key has used up its bandwidth budget.
+   */
+  suspend(id, reason) {
+    const route = this.routes.get(id);
+    if (!route) return false;
+
+    route.suspended = reason;
+    for (const connectionId of route.connections) {
+      this.server.closeConnection(connectionId);
+    }
+    logger.warn(`[GATEWAY] Route ${route.id} ${route.label} suspended: ${reason}`);
+    return true;
+  }
+
+  /**
+   * Bytes the route moved since the last call, per target host:
+   *  [{ host, bytesSent, bytesReceived }]
+   * A connection counts for the host of its first request.
+   */
+  takeTraffic(id) {
+    const route = this.routes.get(id);
+    if (!route) return [];
+
+    const traffic = route.untaken;
+    route.untaken = new Map();
+    for (const connectionId of route.connections) {
+      const live = this.server.getConnectionStats(connectionId);
+      if (!live) continue;
+      const taken = route.taken.get(connectionId) || { bytesSent: 0, bytesReceived: 0 };
+      addTraffic(traffic, route.connectionHosts.get(connectionId), live.srcRxBytes - taken.bytesSent, live.srcTxBytes - taken.bytesReceived);
+      route.taken.set(connectionId, { bytesSent: live.srcRxBytes, bytesReceived: live.srcTxBytes });
+    }
+    return [...traffic.entries()]
+      .map(([host, bytes]) => ({ host, ...bytes }))
+      .filter(entry => entry.bytesSent > 0 || entry.bytesReceived > 0);
+  }
+
+  /**
+   * Counters of a route, including its open connections:
+   *  { port, suspended, requests, failures, openConnections, bytesSent, bytesReceived }
+   * Bytes are counted on the browser side; null for an unknown route.
+   */
+  getStats(id) {
+    const route = this.routes.get(id);
+    if (!route) return null;
+
+    let { bytesSent, bytesReceived } = route.stats;
+    for (const connectionId of route.connections) {
+      const live = this.server.getConnectionStats(connectionId);
+      if (live) {
+        bytesSent += live.srcRxBytes;
+        bytesReceived += live.srcTxBytes;
+      }
+    }
+    return {
+      port: route.port,
+      suspended: route.suspended,
+      requests: route.stats.requests,
+      failures: route.stats.failures,
+      openConnections: route.connections.size,
+      bytesSent,
+      bytesReceived
+    };
+  }
+
+  /**
+   * Close a route and its connections. Resolves with its final stats, or null if it was unknown.
+   */
+  async close(id) {
+    const route = this.routes.get(id);
+    if (!route) return null;
+
+    const stats = this.getStats(id);
+    this.routes.delete(id);
+    for (const connectionId of route.connections) {
+      this.server.closeConnection(connectionId);
+    }
+    await new Promise(resolve => route.listener.close(resolve));
+
+    logger.info(`[GATEWAY] Closed route ${route.id} ${route.label}: ${stats.requests} requests, ${stats.failures} failed, ${Math.round(stats.bytesReceived / 1024)} KB in, ${Math.round(stats.bytesSent / 1024)} KB out`);
+    return stats;
+  }
+
+  /**
+   * Close every route and the shared server. The gateway can be started again afterwards.
+   */
+  async stop() {
+    if (!this.starting) return;
+    await this.starting.catch(() => {});
+    await Promise.all([...this.routes.keys()].map(id => this.close(id)));
+    await this.server.close(true);
+    this.server = null;
+    this.starting = null;
+    logger.info('[GATEWAY] Stopped');
+  }
+
+  prepareRequest({ request, username, password, hostname, connectionId }) {
+    const route = request.socket.gatewayRoute || this.routeByCredentials(username, password);
+    if (!route || !this.routes.has(route.id)) {
+      return { requestAuthentication: true, failMsg: 'Unknown gateway route' };
+    }
+    if (route.suspended) {
+      throw new RequestError(`Route suspended: ${route.suspended}`, 403);
+    }
+    route.connections.add(connectionId);
+    if (!route.connectionHosts.has(connectionId)) route.connectionHosts.set(connectionId, hostname);
+    route.stats.requests++;
+    return { upstreamProxyUrl: route.upstream };
+  }
+
+  routeByCredentials(username, password) {
+    const route = this.routes.get(username);
+    return route && route.password === password ? route : null;
+  }
+
+  routeOfConnection(connectionId) {
+    for (const route of this.routes.values()) {
+      if (route.connections.has(connectionId)) return route;
+    }
+    return null;
+  }
+
+  onConnectionClosed(connectionId, stats) {
+    const route = this.routeOfConnection(connectionId);
+    if (!route) return;
+    route.connections.delete(connectionId);
+    if (stats) {
+      route.stats.bytesSent += stats.srcRxBytes;
+      route.stats.bytesReceived += stats.srcTxBytes;
+
+      const taken = route.taken.get(connectionId) || { bytesSent: 0, bytesReceived: 0 };
+      addTraffic(route.untaken, route.connectionHosts.get(connectionId), stats.srcRxBytes - taken.bytesSent, stats.srcTxBytes - taken.bytesReceived);
+    }
+    route.connectionHosts.delete(connectionId);
+    route.taken.delete(connectionId);
+  }
+}
+
+function addTraffic(traffic, host = '', bytesSent, bytesReceived) {
+  const counters = traffic.get(host) || { bytesSent: 0, bytesReceived: 0 };
+  counters.bytesSent += bytesSent;
+  counters.bytesReceived += bytesReceived;
+  traffic.set(host, counters);
+}
+
+module.exports = ProxyGateway;
@@ -0,0 +1,192 @@
+// requestBlocker.js
+//
+// Keeps Chrome from downloading what the automation never looks at (images, media, fonts,
+// trackers) on the pages of a service, to save proxy traffic. It talks CDP to the browser
+// through chrome-remote-interface: every page is auto-attached, and the requests matching the
+// page's service policy are paused by the Fetch domain and failed before they are sent.
+const CDP = require('chrome-remote-interface');
+const config = require('./config');
+
+const { logger } = config;
+
+/**
+ * Blocking policy of a service: { resourceTypes, urlPatterns }, or null if it blocks nothing.
+ * `block` in config.services overrides BLOCKED_RESOURCE_TYPES / BLOCKED_URL_PATTERNS; false opts out.
+ * Resource types are CDP Network.ResourceType names, URL patterns use * and ? wildcards.
+ */
+function blockingPolicy(service) {
+  const serviceConfig = config.services[service] || {};
+  if (!config.BLOCK_RESOURCES || serviceConfig.block === false) return null;
+
+  const block = serviceConfig.block || {};
+  const policy = {
+    resourceTypes: block.resourceTypes || config.BLOCKED_RESOURCE_TYPES,
+    urlPatterns: block.urlPatterns || config.BLOCKED_URL_PATTERNS
+  };
+  return policy.resourceTypes.length > 0 || policy.urlPatterns.length > 0 ? policy : null;
+}
+
+/**
+ * Scheme + host a service's pages start with, e.g. "chrome-extension://ffcc..." or
+ * "https://app.gradient.network".
+ */
+function serviceOrigins(service) {
+  const serviceConfig = config.services[service] || {};
+  return [serviceConfig.login_url, serviceConfig.extension_url]
+    .filter(Boolean)
+    .map(url => {
+      const { protocol, host } = new URL(url);
+      return `${protocol}//${host}`;
+    });
+}
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+}
+
+/**
+ * Estimated bytes a blocked request of `resourceType` would have cost (BLOCKED_REQUEST_BYTES).
+ */
+function estimatedBytes(resourceType) {
+  const sizes = config.BLOCKED_REQUEST_BYTES;
+  return resourceType in sizes ? sizes[resourceType] : sizes.default;
+}
+
+/**
+ * Resource blocking for one browser, with the policies of the services it runs.
+ * Requests are only blocked on a page of one of those services (by URL, see serviceOrigins);
+ * every other page loads normally.
+ */
+class RequestBlocker {
+  constructor(services) {
+    this.policies = services
+      .map(service => ({ service, origins: serviceOrigins(service), policy: blockingPolicy(service) }))
+      .filter(entry => entry.policy);
+    for (const entry of this.policies) {
+      entry.patterns = entry.policy.urlPatterns.map(globToRegExp);
+    }
+    this.client = null;
+    this.pages = new Map(); // CDP session id -> target id
+    this.urls = new Map(); // target id -> current URL
+    this.blocked = new Map(); // service -> { requests, savedBytes } since the last takeBlocked()
+    this.total = { requests: 0, savedBytes: 0 };
+  }
+
+  /**
+   * Connect to the browser's DevTools endpoint ("host:port", see goog:chromeOptions.debuggerAddress)
+   * and start blocking on every open and future page. Does nothing when no service blocks anything.
+   */
+  async connect(debuggerAddress) {
+    if (this.policies.length === 0) return;
+    const [host, port] = debuggerAddress.split(':');
+    const { webSocketDebuggerUrl } = await CDP.Version({ host, port });
+    await this.attach(await CDP({ host, port, target: webSocketDebuggerUrl, local: true }));
+  }
+
+  /**
+   * Start blocking through an open browser-level CDP client.
+   */
+  async attach(client) {
+    this.client = client;
+    client.on('Target.attachedToTarget', params => {
+      this.onAttached(params).catch(error => logger.debug(`[BLOCKING] attach failed: ${error.message}`));
+    });
+    client.on('Target.detachedFromTarget', ({ sessionId }) => {
+      this.urls.delete(this.pages.get(sessionId));
+      this.pages.delete(sessionId);
+    });
+    client.on('Target.targetInfoChanged', ({ targetInfo }) => {
+      if (this.urls.has(targetInfo.targetId)) this.urls.set(targetInfo.targetId, targetInfo.url);
+    });
+    client.on('Fetch.requestPaused', (params, sessionId) => {
+      this.onRequestPaused(params, sessionId).catch(error => logger.debug(`[BLOCKING] ${error.message}`));
+    });
+
+    await client.send('Target.setDiscoverTargets', { discover: true });
+    await client.send('Target.setAutoAttach', { autoAttach: true, waitForDebuggerOnStart: true, flatten: true });
+  }
+
+  async onAttached({ sessionId, targetInfo, waitingForDebugger }) {
+    if (targetInfo.type === 'page' || targetInfo.type === 'iframe') {
+      this.pages.set(sessionId, targetInfo.targetId);
+      this.urls.set(targetInfo.targetId, targetInfo.url);
+      await this.client.send('Fetch.enable', { patterns: this.fetchPatterns() }, sessionId);
+    }
+    if (waitingForDebugger) {
+      await this.client.send('Runtime.runIfWaitingForDebugger', {}, sessionId);
+    }
+  }
+
+  /**
+   * Fetch patterns pausing every request some policy could block; the rest never pause.
+   */
+  fetchPatterns() {
+    const resourceTypes = new Set(this.policies.flatMap(entry => entry.policy.resourceTypes));
+    const urlPatterns = new Set(this.policies.flatMap(entry => entry.policy.urlPatterns));
+    return [
+      ...[...resourceTypes].map(resourceType => ({ urlPattern: '*', resourceType, requestStage: 'Request' })),
+      ...[...urlPatterns].map(urlPattern => ({ urlPattern, requestStage: 'Request' }))
+    ];
+  }
+
+  async onRequestPaused({ requestId, request, resourceType }, sessionId) {
+    const service = this.blockingService(this.urls.get(this.pages.get(sessionId)), request.url, resourceType);
+    if (!service) {
+      await this.client.send('Fetch.continueRequest', { requestId }, sessionId);
+      return;
+    }
+    this.countBlocked(service, resourceType);
+    await this.client.send('Fetch.failRequest', { requestId, errorReason: 'BlockedByClient' }, sessionId);
+  }
+
+  /**
+   * The service whose policy blocks a `resourceType` request to `url` made by the page at
+   * `pageUrl`, or null if it may go through. Only http(s) requests reach the proxy: an
+   * extension's packaged icons and fonts (chrome-extension://, data:) always load.
+   */
+  blockingService(pageUrl, url, resourceType) {
+    if (!/^https?:/i.test(url)) return null;
+    const entry = this.policies.find(p => p.origins.some(origin => (pageUrl || '').startsWith(origin)));
+    if (!entry) return null;
+    const blocked = entry.policy.resourceTypes.includes(resourceType) || entry.patterns.some(pattern => pattern.test(url));
+    return blocked ? entry.service : null;
+  }
+
+  countBlocked(service, resourceType) {
+    const counters = this.blocked.get(service) || { requests: 0, savedBytes: 0 };
+    const bytes = estimatedBytes(resourceType);
+    counters.requests++;
+    counters.savedBytes += bytes;
+    this.blocked.set(service, counters);
+    this.total.requests++;
+    this.total.savedBytes += bytes;
+  }
+
+  /**
+   * Requests blocked since the last call, per service: [{ service, requests, savedBytes }].
+   * savedBytes is an estimate (BLOCKED_REQUEST_BYTES): a blocked response is never seen.
+   */
+  takeBlocked() {
+    const blocked = [...this.blocked.entries()].map(([service, counters]) => ({ service, ...counters }));
+    this.blocked = new Map();
+    return blocked;
+  }
+
+  /**
+   * Disconnect from the browser. Resolves with the totals: { requests, savedBytes }.
+   */
+  async close() {
+    if (this.client) {
+      await this.client.close().catch(() => {});
+      this.client = null;
+    }
+    return this.total;
+  }
+}
+
+module.exports = {
+  blockingPolicy,
+  serviceOrigins,
+  RequestBlocker
+};
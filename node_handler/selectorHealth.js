@@ -0,0 +1,70 @@
+// selectorHealth.js
+//
+// Drift detection for config.services selectors: open each service's pages in one browser
+// and see which selectors still find their element, and through which fallback.
+const config = require('./config');
+const { toLocator, selectorList } = require('./automationHelpers');
+
+const SELECTOR_PAGES = ['login_url', 'extension_url'];
+
+/**
+ * Index of the first fallback of `selector` present on the current page, or -1.
+ */
+async function findSelector(driver, selector) {
+  const selectors = selectorList(selector);
+  for (let i = 0; i < selectors.length; i++) {
+    if ((await driver.findElements(toLocator(selectors[i]))).length > 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Check every selector of `service` against its login_url and extension_url.
+ * Returns one row per selector name:
+ *  { service, selector, status, page, fallback }
+ * where status is "ok" (first selector found), "fallback" (only fallback number `fallback`
+ * found) or "missing", and page is the page it was found on.
+ * Selectors only shown when logged in (or out) are missing on a profile in the other state.
+ */
+async function checkServiceSelectors(driver, service, { settleDelay = config.PAGE_SETTLE_DELAY } = {}) {
+  const serviceConfig = config.services[service] || {};
+  const rows = Object.keys(serviceConfig.selectors || {}).map(name => ({
+    service,
+    selector: name,
+    status: 'missing',
+    page: null,
+    fallback: null
+  }));
+
+  const visited = new Set();
+  for (const page of SELECTOR_PAGES) {
+    const url = serviceConfig[page];
+    if (!url || visited.has(url)) continue;
+    visited.add(url);
+
+    try {
+      await driver.get(url);
+      if ((await driver.getCurrentUrl()).startsWith('chrome-error://')) continue;
+      await driver.sleep(settleDelay);
+    } catch (error) {
+      continue;
+    }
+
+    for (const row of rows.filter(r => r.status !== 'ok')) {
+      const index = await findSelector(driver, serviceConfig.selectors[row.selector]);
+      if (index === -1 || (row.status === 'fallback' && index >= row.fallback)) continue;
+      Object.assign(row, {
+        status: index === 0 ? 'ok' : 'fallback',
+        page,
+        fallback: index === 0 ? null : index
+      });
+    }
+  }
+  return rows;
+}
+
+module.exports = {
+  SELECTOR_PAGES,
+  findSelector,
+  checkServiceSelectors
+};
@@ -0,0 +1,79 @@
+// serviceRegistry.js
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./config');
+const { FLOWS_DIR, loadFlows } = require('./flowService');
+
+const SERVICES_DIR = path.join(__dirname, 'services');
+
+let registry = null;
+
+/**
+ * Make sure a module from the services directory looks like a service plugin.
+ */
+function validatePlugin(plugin, file) {
+  if (!plugin || typeof plugin.name !== 'string') {
+    throw new Error(`Service plugin ${file} must export an object with a "name"`);
+  }
+  for (const method of ['login', 'check']) {
+    if (typeof plugin[method] !== 'function') {
+      throw new Error(`Service plugin ${plugin.name} (${file}) is missing ${method}()`);
+    }
+  }
+}
+
+/**
+ * Require every .js file in the services directory, add every flow file in the flows
+ * directory (see flowService.js) and index the plugins by name.
+ */
+function loadServices(dir = SERVICES_DIR, flowsDir = FLOWS_DIR) {
+  const services = {};
+  const add = (plugin, file) => {
+    validatePlugin(plugin, file);
+    if (services[plugin.name]) {
+      throw new Error(`Service ${plugin.name} is registered twice (${file})`);
+    }
+    services[plugin.name] = plugin;
+  };
+
+  const files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+  for (const file of files) {
+    add(require(path.join(dir, file)), file);
+  }
+  for (const flow of loadFlows(flowsDir)) {
+    add(flow, `flow ${flow.name}`);
+  }
+
+  logger.info(`Registered services: ${Object.keys(services).join(', ')}`);
+  return services;
+}
+
+/**
+ * All registered plugins, keyed by service name. Loaded once on first use.
+ */
+function getServices() {
+  if (!registry) {
+    registry = loadServices();
+  }
+  return registry;
+}
+
+function getService(name) {
+  const service = getServices()[name];
+  if (!service) {
+    throw new Error(`Service ${name} is not registered`);
+  }
+  return service;
+}
+
+function listServices() {
+  return Object.values(getServices());
+}
+
+module.exports = {
+  SERVICES_DIR,
+  loadServices,
+  getServices,
+  getService,
+  listServices
+};
@@ -0,0 +1,82 @@
+// CNTP.js
+const path = require('path');
+const BaseService = require('../baseService');
+const { maskKey } = require('../keyVault');
+const { toTaskError, InvalidKeyError, SelectorNotFoundError } = require('../errors');
+const { waitForElement, checkElementExsist, clickElement, enterText, openExtensionPage } = require('../automationHelpers');
+const { timeouts, PAGE_SETTLE_DELAY, LOGIN_SETTLE_DELAY } = require('../config');
+
+class CNTPService extends BaseService {
+  constructor() {
+    super('cntp', {
+      extension: path.resolve('./crxs/cntp.crx'),
+      probes: [
+        { url: 'https://conet.network/', expectStatus: 200 }
+      ]
+    });
+  }
+
+  async login(driver, key, proxyUrl) {
+    try {
+      this.logger.info(`Starting CNTP login for ${maskKey(key)}`);
+
+      const { login_url, extension_url, selectors } = this.config;
+      await openExtensionPage(driver, login_url, this.name);
+
+      // Check if already logged in by verifying the dashboard element.
+      try {
+        await waitForElement(driver, selectors.loginConfirmElement, timeouts.loginConfirm);
+        this.logger.info(`Already loged in CNTP for ${maskKey(key)}`);
+        return true;
+      } catch (e) {
+        // Not logged in; proceed with the login flow.
+      }
+
+      await enterText(driver, selectors.keyInput, key);
+      await clickElement(driver, selectors.loginButton);
+      await driver.sleep(LOGIN_SETTLE_DELAY);
+      await openExtensionPage(driver, extension_url, this.name);
+      if (!(await checkElementExsist(driver, selectors.loginConfirmElement, timeouts.loginConfirm))) {
+        // Still on the import form after submitting: the wallet refused the key
+        if (await checkElementExsist(driver, selectors.keyInput, timeouts.optionalElement)) {
+          throw new InvalidKeyError(this.name, 'key rejected by the import form');
+        }
+        throw new SelectorNotFoundError(selectors.loginConfirmElement, 'dashboard not shown after login');
+      }
+
+      this.logger.info(`Login success for CNTP ${maskKey(key)}`);
+      return true;
+    } catch (error) {
+      this.logger.error(`CNTP login failed for ${maskKey(key)}: ${error.message}`);
+      throw toTaskError(error, 'login_failed', proxyUrl);
+    }
+  }
+
+  async check(driver, key, proxyUrl) {
+    try {
+      const { extension_url, selectors } = this.config;
+      await openExtensionPage(driver, extension_url, this.name);
+      await driver.sleep(PAGE_SETTLE_DELAY);
+
+      // A balance that isn't there is selector drift (SelectorNotFoundError), not 0 points
+      const cntpValue = await (await waitForElement(driver, selectors.cntpValue)).getText();
+
+      this.logger.info(`
+      CNTP status for ${maskKey(key)}:
+      Value: ${cntpValue}
+    `);
+
+    let point = parseInt(cntpValue);
+    if (isNaN(point)) {
+      point = 0;
+    }
+    return point;
+
+    } catch (error) {
+      this.logger.error(`CNTP check failed for ${maskKey(key)}: ${error.message}`);
+      throw toTaskError(error, 'check_failed', proxyUrl);
+    }
+  }
+}
+
+module.exports = new CNTPService();
@@ -0,0 +1,72 @@
+// gradient.js
+const path = require('path');
+const BaseService = require('../baseService');
+const { maskKey } = require('../keyVault');
+const { toTaskError } = require('../errors');
+const { waitForElement, clickElement, safeClick, enterText, openExtensionPage } = require('../automationHelpers');
+const { timeouts, PAGE_SETTLE_DELAY } = require('../config');
+
+class GradientService extends BaseService {
+  constructor() {
+    super('gradient', {
+      extension: path.resolve('./crxs/gradient.crx'),
+      probes: [
+        { url: 'https://app.gradient.network/', expectStatus: 200 }
+      ]
+    });
+  }
+
+  async login(driver, key, proxyUrl) {
+    try {
+      const { username, password } = this.parseCredentials(key);
+      this.logger.info(`Starting Gradient login for ${maskKey(key)}`);
+
+      const { login_url, extension_url, selectors } = this.config;
+      await driver.get(login_url);
+
+      // The web app session is shared with the extension; log in there first.
+      try {
+        await waitForElement(driver, selectors.dashboardElement, timeouts.loginCheck);
+        this.logger.info(`Already logged in Gradient for ${maskKey(key)}`);
+      } catch (e) {
+        await enterText(driver, selectors.username, username);
+        await enterText(driver, selectors.password, password);
+        await clickElement(driver, selectors.loginButton);
+        await waitForElement(driver, selectors.dashboardElement, timeouts.loginConfirm);
+      }
+
+      // Dismiss the onboarding popups, then confirm the extension picked up the session.
+      await openExtensionPage(driver, extension_url, this.name);
+      await safeClick(driver, selectors.gotItButton);
+      await safeClick(driver, selectors.yesButton);
+      await waitForElement(driver, selectors.loginConfirmElement, timeouts.loginConfirm);
+
+      this.logger.info(`Login success for Gradient ${maskKey(key)}`);
+      return true;
+    } catch (error) {
+      this.logger.error(`Gradient login failed: ${error.message}`);
+      throw toTaskError(error, 'login_failed', proxyUrl);
+    }
+  }
+
+  async check(driver, key, proxyUrl) {
+    try {
+      const { extension_url, selectors } = this.config;
+      await openExtensionPage(driver, extension_url, this.name);
+      await driver.sleep(PAGE_SETTLE_DELAY);
+
+      const status = await (await waitForElement(driver, selectors.status)).getText();
+      await safeClick(driver, selectors.rewardSwitchButton);
+      const todayReward = await (await waitForElement(driver, selectors.todayReward)).getText();
+      const sessionReward = await (await waitForElement(driver, selectors.sessionReward)).getText();
+
+      this.logger.info(`Gradient status: ${status}, today: ${todayReward}, session: ${sessionReward}`);
+      return this.parsePoint(todayReward);
+    } catch (error) {
+      this.logger.error(`Gradient check failed: ${error.message}`);
+      throw toTaskError(error, 'check_failed', proxyUrl);
+    }
+  }
+}
+
+module.exports = new GradientService();
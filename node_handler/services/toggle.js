@@ -0,0 +1,67 @@
+// toggle.js
+const path = require('path');
+const BaseService = require('../baseService');
+const { maskKey } = require('../keyVault');
+const { toTaskError } = require('../errors');
+const { waitForElement, clickElement, enterText, openExtensionPage } = require('../automationHelpers');
+const { timeouts, PAGE_SETTLE_DELAY } = require('../config');
+
+class ToggleService extends BaseService {
+  constructor() {
+    super('toggle', {
+      extension: path.resolve('./crxs/toggle.crx'),
+      probes: [
+        { url: 'https://toggle.pro/sign-in', expectStatus: 200 }
+      ]
+    });
+  }
+
+  async login(driver, key, proxyUrl) {
+    try {
+      const { username, password } = this.parseCredentials(key);
+      this.logger.info(`Starting Toggle login for ${maskKey(key)}`);
+
+      const { login_url, extension_url, selectors } = this.config;
+      await driver.get(login_url);
+
+      try {
+        await waitForElement(driver, selectors.dashboardElement, timeouts.loginCheck);
+        this.logger.info(`Already logged in Toggle for ${maskKey(key)}`);
+      } catch (e) {
+        await enterText(driver, selectors.username, username);
+        await enterText(driver, selectors.password, password);
+        await clickElement(driver, selectors.loginButton);
+        await waitForElement(driver, selectors.dashboardElement, timeouts.loginConfirm);
+      }
+
+      await openExtensionPage(driver, extension_url, this.name);
+      await waitForElement(driver, selectors.loginConfirmElement, timeouts.loginConfirm);
+
+      this.logger.info(`Login success for Toggle ${maskKey(key)}`);
+      return true;
+    } catch (error) {
+      this.logger.error(`Toggle login failed: ${error.message}`);
+      throw toTaskError(error, 'login_failed', proxyUrl);
+    }
+  }
+
+  async check(driver, key, proxyUrl) {
+    try {
+      const { extension_url, selectors } = this.config;
+      await openExtensionPage(driver, extension_url, this.name);
+      await driver.sleep(PAGE_SETTLE_DELAY);
+
+      const quality = await (await waitForElement(driver, selectors.quality)).getText();
+      const epoch = await (await waitForElement(driver, selectors.epoch)).getText();
+      const uptime = await (await waitForElement(driver, selectors.uptime)).getText();
+
+      this.logger.info(`Toggle quality: ${quality}, epoch: ${epoch}, uptime: ${uptime}`);
+      return this.parsePoint(epoch);
+    } catch (error) {
+      this.logger.error(`Toggle check failed: ${error.message}`);
+      throw toTaskError(error, 'check_failed', proxyUrl);
+    }
+  }
+}
+
+module.exports = new ToggleService();
@@ -0,0 +1,145 @@
+// sessionPool.js
+const os = require('os');
+const {
+  MAX_CONCURRENT_DRIVERS,
+  MIN_FREE_MEMORY_MB,
+  MAX_CPU_LOAD,
+  ADMISSION_RETRY_DELAY,
+  STAGGER_DELAY,
+  logger
+} = require('./config');
+
+/**
+ * Bounded queue of browser sessions.
+ * At most `maxConcurrent` tasks run at once, launches are spaced by `launchDelay`,
+ * and (optionally) a new task is only admitted while enough memory / CPU is free.
+ */
+class SessionPool {
+  constructor({
+    maxConcurrent = MAX_CONCURRENT_DRIVERS,
+    minFreeMemoryMB = MIN_FREE_MEMORY_MB,
+    maxCpuLoad = MAX_CPU_LOAD,
+    retryDelay = ADMISSION_RETRY_DELAY,
+    launchDelay = STAGGER_DELAY
+  } = {}) {
+    this.maxConcurrent = maxConcurrent;
+    this.minFreeMemoryMB = minFreeMemoryMB;
+    this.maxCpuLoad = maxCpuLoad;
+    this.retryDelay = retryDelay;
+    this.launchDelay = launchDelay;
+
+    this.queue = [];
+    this.active = 0;
+    this.lastLaunch = 0;
+    this.draining = false;
+    this.wake = null; // ends the pending stagger / admission wait early
+  }
+
+  /**
+   * Queue a task. Resolves/rejects with the task's own result once it has run.
+   */
+  submit(label, taskFn) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ label, taskFn, resolve, reject });
+      this.logStatus(`Queued ${label}`);
+      this.drain();
+    });
+  }
+
+  /**
+   * Drop every task that hasn't started yet (their submit() promises resolve with undefined)
+   * and end a pending stagger or admission wait. Running tasks are left to finish.
+   * Returns the number of tasks dropped.
+   */
+  cancel() {
+    const dropped = this.queue.splice(0);
+    for (const job of dropped) job.resolve();
+    if (this.wake) this.wake();
+    if (dropped.length > 0) this.logStatus(`Dropped ${dropped.length} queued task(s)`);
+    return dropped.length;
+  }
+
+  /**
+   * Start queued tasks while there are free slots.
+   */
+  async drain() {
+    if (this.draining) return;
+    this.draining = true;
+
+    try {
+      while (this.queue.length > 0 && this.active < this.maxConcurrent) {
+        // Keep the stagger between consecutive launches
+        const wait = this.lastLaunch + this.launchDelay - Date.now();
+        if (wait > 0) {
+          await this.sleep(wait);
+          continue;
+        }
+
+        // Always admit one task when idle so a busy host can't stall the queue forever
+        const blocker = this.active > 0 ? this.getAdmissionBlocker() : null;
+        if (blocker) {
+          this.logStatus(`Holding queue: ${blocker}`);
+          await this.sleep(this.retryDelay);
+          continue;
+        }
+
+        const job = this.queue.shift();
+        this.active++;
+        this.lastLaunch = Date.now();
+        this.logStatus(`Started ${job.label}`);
+
+        Promise.resolve()
+          .then(job.taskFn)
+          .then(job.resolve, job.reject)
+          .finally(() => {
+            this.active--;
+            this.logStatus(`Finished ${job.label}`);
+            this.drain();
+          });
+      }
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  /**
+   * Returns a reason string if the host is too busy to launch another browser, else null.
+   */
+  getAdmissionBlocker() {
+    if (this.minFreeMemoryMB > 0) {
+      const freeMB = os.freemem() / 1024 / 1024;
+      if (freeMB < this.minFreeMemoryMB) {
+        return `free memory ${freeMB.toFixed(0)}MB < ${this.minFreeMemoryMB}MB`;
+      }
+    }
+
+    if (this.maxCpuLoad > 0) {
+      const load = os.loadavg()[0] / os.cpus().length;
+      if (load > this.maxCpuLoad) {
+        return `CPU load ${load.toFixed(2)} per core > ${this.maxCpuLoad}`;
+      }
+    }
+
+    return null;
+  }
+
+  logStatus(message) {
+    logger.info(`[POOL] ${message} | active=${this.active}/${this.maxConcurrent} queued=${this.queue.length}`);
+  }
+
+  /**
+   * Sleep helper; cancel() ends it early.
+   */
+  sleep(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => this.wake(), ms);
+      this.wake = () => {
+        clearTimeout(timer);
+        this.wake = null;
+        resolve();
+      };
+    });
+  }
+}
+
+module.exports = SessionPool;
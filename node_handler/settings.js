@@ -0,0 +1,292 @@
+// settings.js
+//
+// Every tunable setting with its type and default. Values are taken from, last one winning:
+//  1. the defaults below
+//  2. the settings file: ./config/settings.yaml (or .yml / .json), or the file CONFIG_FILE names
+//  3. environment variables, also read from ./.env: the setting name in upper case,
+//     e.g. CHECK_INTERVAL=600000, or TIMEOUTS_PAGE=90000 for a value inside `timeouts`
+// config.js exposes the result under the upper-case names (CHECK_INTERVAL...). Run
+// `node app.js config` to see the values in effect and where each one came from.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError } = require('./errors');
+
+const SETTINGS_FILES = ['./config/settings.yaml', './config/settings.yml', './config/settings.json'];
+const CONFIG_FILE_ENV = 'CONFIG_FILE';
+
+const integer = (fallback, min = 0, max = Number.MAX_SAFE_INTEGER) => ({ type: 'integer', default: fallback, min, max });
+const number = (fallback, min = 0) => ({ type: 'number', default: fallback, min });
+const boolean = fallback => ({ type: 'boolean', default: fallback });
+const string = fallback => ({ type: 'string', default: fallback });
+const url = fallback => ({ type: 'url', default: fallback });
+const list = fallback => ({ type: 'list', default: fallback });
+const group = properties => ({ type: 'group', properties });
+const sizes = fallback => ({ type: 'sizes', default: fallback });
+
+const SCHEMA = {
+  // Chrome
+  headless: boolean(true), // run Chrome without a window
+  user_agent: string('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/112.0.0.0 Safari/537.36'),
+  chrome_binary: string(os.platform() === 'linux' ? '/usr/bin/chromium-browser' : ''), // empty: let chromedriver find Chrome
+
+  // Milliseconds
+  timeouts: group({
+    element: integer(60000),
+    page: integer(60000),
+    action: integer(10000), // an input to type into
+    loginCheck: integer(10000), // is the session still (or already) logged in?
+    loginConfirm: integer(20000), // the dashboard showing up after a login
+    optionalElement: integer(2000) // elements that may well be missing: optional clicks, error hints
+  }),
+
+  // Automation
+  max_login_retries: integer(2, 1),
+  max_proxy_failovers: integer(2), // spare proxies tried per key before giving up
+  max_task_retries: integer(5), // automatic retries of a failed task before it needs a manual requeue
+  retry_base_delay: integer(60000), // 1 minute before the first retry, doubled after each failure
+  retry_max_delay: integer(3600000), // never wait more than 1 hour between retries
+  profile_cleanup_on_failure: boolean(true),
+  check_interval: integer(360000, 1000), // 6 minutes
+  monitor_mode: boolean(false), // keep each driver alive and re-check every check_interval
+  default_services: list(['cntp']), // service plugins (see ./services) run for keys that declare none
+  stagger_delay: integer(45000), // between account starts
+  failed_tasks_path: string('./output/fail_tasks.json'),
+  capture_failure_artifacts: boolean(true), // screenshot, DOM and console of every failed login/check
+  artifacts_dir: string('./output/artifacts'),
+  magic_link_timeout: integer(180000), // how long Bless waits for its emailed sign-in link
+  browser_start_delay: integer(5000), // let Chrome and its extensions start before the first page
+  page_settle_delay: integer(5000), // let a page render before reading it (checks, check-selectors)
+  login_settle_delay: integer(3000), // after submitting a login or reloading, before looking for the result
+
+  // Session pool
+  max_concurrent_drivers: integer(10, 1), // hard cap on live Chrome instances
+  min_free_memory_mb: integer(0), // hold new launches below this much free RAM (0 = off)
+  max_cpu_load: number(0), // hold new launches above this 1-min load per core (0 = off)
+  admission_retry_delay: integer(15000), // between admission re-checks
+
+  // Dashboard
+  dashboard_host: string('127.0.0.1'), // only reachable from this machine
+  dashboard_port: integer(8080, 0, 65535),
+
+  // Proxy gateway
+  gateway_host: string('127.0.0.1'),
+  gateway_port: integer(0, 0, 65535), // 0 picks a free port; browsers connect through per-session ports anyway
+
+  // Bandwidth
+  bandwidth_flush_interval: integer(60000, 1000), // how often gateway byte counts are written to bandwidth_usage
+  bandwidth_budget_mb: integer(0), // daily traffic budget per key (0 = unlimited)
+  block_resources: boolean(true),
+  blocked_resource_types: list(['Image', 'Media', 'Font']), // CDP Network.ResourceType names
+  blocked_url_patterns: list(['*google-analytics.com/*', '*googletagmanager.com/*', '*doubleclick.net/*']),
+  blocked_request_bytes: sizes({ Image: 30 * 1024, Media: 500 * 1024, Font: 40 * 1024, default: 20 * 1024 }),
+
+  // Proxy checks
+  proxy_chunk_size: integer(10, 1), // proxies tested per worker thread
+  exit_ip_url: url('https://api.ipify.org?format=json'), // echo service telling which IP a proxy exits from
+  probe_timeout: integer(10000, 1),
+  score_window: integer(20, 1), // most recent checks per proxy that feed its rolling score
+
+  // Reports
+  default_report_days: integer(7, 1),
+  default_stall_hours: integer(24, 1),
+  default_earner_limit: integer(10, 1)
+};
+
+/**
+ * Environment variable of the setting at `keys`, e.g. ["timeouts", "loginCheck"] -> TIMEOUTS_LOGIN_CHECK.
+ */
+function envName(keys) {
+  return keys.map(key => key.replace(/([a-z])([A-Z])/g, '$1_$2')).join('_').toUpperCase();
+}
+
+/**
+ * Turn an environment variable into a value of `spec`'s type; invalid text is left as is
+ * for check() to report.
+ */
+function fromEnv(spec, text) {
+  switch (spec.type) {
+    case 'integer':
+    case 'number':
+      return /^\s*-?\d+(\.\d+)?\s*$/.test(text) ? Number(text) : text;
+    case 'boolean':
+      if (/^(true|yes|1)$/i.test(text.trim())) return true;
+      if (/^(false|no|0)$/i.test(text.trim())) return false;
+      return text;
+    case 'list':
+      return text.split(',').map(item => item.trim()).filter(Boolean);
+    case 'sizes':
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        return text;
+      }
+    default:
+      return text;
+  }
+}
+
+/**
+ * What's wrong with `value` for `spec`, or null if it's fine.
+ */
+function check(spec, value) {
+  switch (spec.type) {
+    case 'integer':
+      if (!Number.isInteger(value) || value < spec.min || value > spec.max) {
+        return spec.max === Number.MAX_SAFE_INTEGER
+          ? `expected an integer >= ${spec.min}`
+          : `expected an integer from ${spec.min} to ${spec.max}`;
+      }
+      return null;
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) && value >= spec.min ? null : `expected a number >= ${spec.min}`;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'expected true or false';
+    case 'string':
+      return typeof value === 'string' ? null : 'expected a string';
+    case 'url':
+      return typeof value === 'string' && /^https?:\/\/[^/\s]+/.test(value) ? null : 'expected an http(s) URL';
+    case 'list':
+      return Array.isArray(value) && value.every(item => typeof item === 'string') ? null : 'expected a list of strings';
+    case 'sizes':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return 'expected a map of name: bytes';
+      if (!Object.values(value).every(bytes => Number.isInteger(bytes) && bytes >= 0)) return 'expected whole numbers of bytes';
+      return 'default' in value ? null : 'needs a "default" entry';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Which settings file to read: CONFIG_FILE, else the first of SETTINGS_FILES that exists, else none.
+ */
+function findSettingsFile(env = process.env) {
+  if (env[CONFIG_FILE_ENV]) return path.resolve(env[CONFIG_FILE_ENV]);
+  const found = SETTINGS_FILES.find(file => fs.existsSync(file));
+  return found ? path.resolve(found) : null;
+}
+
+/**
+ * Parse a .json, .yaml or .yml settings file. An empty file means no settings.
+ */
+function readSettingsFile(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  const values = path.extname(file) === '.json' ? JSON.parse(content) : require('yaml').parse(content);
+  return values === null || values === undefined ? {} : values;
+}
+
+/**
+ * Resolve every setting from the defaults, `file` and `env`. Resolves nothing partially: any
+ * invalid or unknown setting throws a ConfigError listing every problem found.
+ * Returns { settings, sources, file }, where sources maps a setting path ("timeouts.page") that
+ * doesn't use its default to where its value came from ("config/settings.yaml", "env TIMEOUTS_PAGE").
+ */
+function loadSettings({ file = findSettingsFile(), env = process.env } = {}) {
+  const problems = [];
+  const sources = {};
+  let fileValues = {};
+  if (file) {
+    try {
+      fileValues = readSettingsFile(file);
+      if (typeof fileValues !== 'object' || Array.isArray(fileValues)) {
+        problems.push(`${file}: expected a map of settings`);
+        fileValues = {};
+      }
+    } catch (error) {
+      problems.push(`${file}: ${error.code === 'ENOENT' ? 'no such file' : error.message}`);
+    }
+  }
+  const fileLabel = file ? path.relative(process.cwd(), file) || file : null;
+
+  const resolve = (schema, values, keys) => {
+    for (const name of Object.keys(values)) {
+      if (!(name in schema)) problems.push(`${[...keys, name].join('.')} (${fileLabel}): unknown setting`);
+    }
+
+    const resolved = {};
+    for (const [name, spec] of Object.entries(schema)) {
+      const at = [...keys, name];
+      if (spec.type === 'group') {
+        const groupValues = values[name] === undefined ? {} : values[name];
+        if (!groupValues || typeof groupValues !== 'object' || Array.isArray(groupValues)) {
+          problems.push(`${at.join('.')} (${fileLabel}): expected a map of settings`);
+          resolved[name] = resolve(spec.properties, {}, at);
+        } else {
+          resolved[name] = resolve(spec.properties, groupValues, at);
+        }
+        continue;
+      }
+
+      let value = spec.default;
+      let source = null;
+      if (values[name] !== undefined) {
+        value = values[name];
+        source = fileLabel;
+      }
+      const variable = envName(at);
+      if (env[variable] !== undefined && env[variable] !== '') {
+        value = fromEnv(spec, env[variable]);
+        source = `env ${variable}`;
+      }
+
+      const problem = check(spec, value);
+      if (problem) {
+        problems.push(`${at.join('.')} (${source}): ${problem}, got ${JSON.stringify(value)}`);
+      } else if (source) {
+        sources[at.join('.')] = source;
+      }
+      resolved[name] = value;
+    }
+    return resolved;
+  };
+
+  const settings = resolve(SCHEMA, fileValues, []);
+  if (problems.length > 0) {
+    throw new ConfigError(`Invalid settings:\n  ${problems.join('\n  ')}`);
+  }
+  return { settings, sources, file };
+}
+
+/**
+ * `loaded` (see loadSettings) as YAML that can serve as a settings file, with a comment on
+ * every value that doesn't come from the defaults naming its source.
+ */
+function formatSettings({ settings, sources }) {
+  const YAML = require('yaml');
+  const doc = new YAML.Document(settings);
+  for (const [at, source] of Object.entries(sources)) {
+    const keys = at.split('.');
+    const node = doc.getIn(keys, true);
+    if (YAML.isScalar(node)) {
+      node.comment = ` ${source}`;
+    } else {
+      // Lists: comment the key, so the comment isn't printed after the last item
+      const parent = keys.length > 1 ? doc.getIn(keys.slice(0, -1)) : doc.contents;
+      parent.items.find(pair => pair.key.value === keys[keys.length - 1]).key.comment = ` ${source}`;
+    }
+  }
+  return doc.toString({ lineWidth: 0 });
+}
+
+let loaded = null;
+
+/**
+ * The settings of this process (see loadSettings), loaded on first use after reading ./.env.
+ */
+function getSettings() {
+  if (!loaded) {
+    require('dotenv').config();
+    loaded = loadSettings();
+  }
+  return loaded;
+}
+
+module.exports = {
+  SETTINGS_FILES,
+  CONFIG_FILE_ENV,
+  SCHEMA,
+  envName,
+  loadSettings,
+  formatSettings,
+  getSettings
+};
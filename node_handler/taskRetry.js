@@ -0,0 +1,91 @@
+// taskRetry.js
+const fs = require('fs');
+const {
+  MAX_TASK_RETRIES,
+  RETRY_BASE_DELAY,
+  RETRY_MAX_DELAY,
+  FAILED_TASKS_PATH,
+  logger
+} = require('./config');
+const { keyLabel, resolveKeyHash } = require('./keyVault');
+
+/**
+ * Backoff before the next automatic retry of a task that has now failed `retryCount` times:
+ * RETRY_BASE_DELAY doubled on every failure, capped at RETRY_MAX_DELAY.
+ * Returns null once MAX_TASK_RETRIES retries are used up (the task stays failed until requeued).
+ */
+function getRetryDelay(retryCount) {
+  if (retryCount > MAX_TASK_RETRIES) return null;
+  return Math.min(RETRY_BASE_DELAY * 2 ** (retryCount - 1), RETRY_MAX_DELAY);
+}
+
+/**
+ * Build the WHERE clause selecting failed tasks that match every given filter.
+ * Each filter is a list; keys are raw keys or key#<hash> labels, the rest match task_monitoring columns.
+ */
+function buildFailedTaskFilter({ keys, proxies, services, errors } = {}) {
+  const clauses = [`t.state = 'failed'`];
+  const params = [];
+  const addList = (column, values) => {
+    if (!values || values.length === 0) return;
+    clauses.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+    params.push(...values);
+  };
+
+  addList('k.key_hash', keys && keys.map(resolveKeyHash));
+  addList('t.proxy', proxies);
+  addList('t.service', services);
+  addList('t.last_error', errors);
+
+  return { where: clauses.join(' AND '), params };
+}
+
+/**
+ * Put matching failed tasks back to "pending" with a fresh retry budget.
+ * Successful and pending tasks are never touched. Matching entries are also
+ * removed from fail_tasks.json so it only lists failures still outstanding.
+ * Resolves with the requeued tasks.
+ */
+async function requeueFailedTasks(db, filters = {}) {
+  const { where, params } = buildFailedTaskFilter(filters);
+  const tasks = await db.all(
+    `SELECT t.id, k.key_hash, t.proxy, t.service, t.last_error
+       FROM task_monitoring t
+       JOIN keys k ON k.id = t.key_id
+      WHERE ${where}`,
+    params
+  );
+
+  for (const task of tasks) {
+    await db.run(
+      `UPDATE task_monitoring
+          SET state = 'pending',
+              retry_count = 0,
+              next_retry_at = NULL,
+              last_updated = CURRENT_TIMESTAMP
+        WHERE id = ?`,
+      [task.id]
+    );
+  }
+
+  pruneFailedTaskLog(tasks);
+  logger.info(`Requeued ${tasks.length} failed task(s)`);
+  return tasks;
+}
+
+/**
+ * Drop fail_tasks.json entries for the given (key, proxy, service) tasks.
+ */
+function pruneFailedTaskLog(tasks) {
+  if (tasks.length === 0 || !fs.existsSync(FAILED_TASKS_PATH)) return;
+
+  const requeued = new Set(tasks.map(t => `${keyLabel(t.key_hash)}|${t.proxy}|${t.service}`));
+  const entries = JSON.parse(fs.readFileSync(FAILED_TASKS_PATH));
+  const remaining = entries.filter(e => !requeued.has(`${e.key}|${e.proxy}|${e.service}`));
+  fs.writeFileSync(FAILED_TASKS_PATH, JSON.stringify(remaining, null, 2));
+}
+
+module.exports = {
+  getRetryDelay,
+  requeueFailedTasks
+};
@@ -2,16 +2,15 @@
 const log4js = require('log4js');
 const config = require('./config');
 const { waitForElement } = require('./automationHelpers');
-const CNTPService = require('./cntp');
+const { getServices } = require('./serviceRegistry');
+const { TaskError, toTaskError } = require('./errors');
 
 class TokenPlugin {
   constructor() {
     this.logger = log4js.getLogger('TokenPlugin');
 
-    // Mapping service names to their respective instances
-    this.services = {
-      cntp: CNTPService
-    };
+    // Mapping service names to the plugins discovered in ./services
+    this.services = getServices();
   }
 
   // Generic checkLoginState that uses the service's extension URL and login confirmation element
@@ -25,7 +24,7 @@ class TokenPlugin {
       this.logger.info(`Checking login state for ${service}`);
       await driver.get(extension_url);
       await driver.navigate().refresh();
-      await driver.sleep(3000);
+      await driver.sleep(config.LOGIN_SETTLE_DELAY);
       await waitForElement(driver, selectors.loginConfirmElement, config.timeouts.loginCheck);
       this.logger.info(`${service} login confirmed`);
       return true;
@@ -35,31 +34,39 @@ class TokenPlugin {
     }
   }
 
-  // Generic method to login to any service dynamically
+  // Generic method to login to any service dynamically. Resolves true or throws a TaskError.
   async login(driver, service, username, proxyUrl) {
     try {
       if (!this.services[service]) {
         throw new Error(`Login method not found for service: ${service}`);
       }
       this.logger.info(`Attempting login for ${service}`);
-      return await this.services[service].login(driver, username, proxyUrl);
+      const result = await this.services[service].login(driver, username, proxyUrl);
+      if (result === false) {
+        throw new TaskError('login_failed', `${service} login returned false`);
+      }
+      return true;
     } catch (error) {
       this.logger.error(`Error logging in to ${service}: ${error.message}`);
-      return false;
+      throw toTaskError(error, 'login_failed', proxyUrl);
     }
   }
 
-  // Generic method to check service status dynamically
+  // Generic method to check service status dynamically. Resolves the point value or throws a TaskError.
   async check(driver, service, username, proxyUrl) {
     try {
       if (!this.services[service]) {
         throw new Error(`Check method not found for service: ${service}`);
       }
       this.logger.info(`Checking service status for ${service}`);
-      return await this.services[service].check(driver, username, proxyUrl);
+      const result = await this.services[service].check(driver, username, proxyUrl);
+      if (result === false) {
+        throw new TaskError('check_failed', `${service} check returned false`);
+      }
+      return result;
     } catch (error) {
       this.logger.error(`Error checking ${service}: ${error.message}`);
-      return false;
+      throw toTaskError(error, 'check_failed', proxyUrl);
     }
   }
 }
@@ -3,12 +3,15 @@ const fs = require('fs');
 const path = require('path');
 const log4js = require('log4js');
 const { initDB } = require('../init_db.js');
+const { DEFAULT_SERVICES } = require('../node_handler/config');
+const { getProxyScores } = require('./proxy_scores');
+const { keyFingerprint, maskKey, sealKey, registerSecret, decryptKeyFile } = require('../node_handler/keyVault');
 
 // Configure log4js
 log4js.configure({
   appenders: {
-    file: { type: 'file', filename: 'assign_proxy.log' },
-    console: { type: 'console' }
+    file: { type: 'file', filename: 'assign_proxy.log', layout: { type: 'redacted' } },
+    console: { type: 'console', layout: { type: 'redacted', base: 'coloured' } }
   },
   categories: {
     default: { appenders: ['console', 'file'], level: 'info' }
@@ -30,55 +33,209 @@ async function getFilteredProxiesFromDB(db) {
 }
 
 /**
- * Read one key per line from a file.
+ * Read one key per line from a file (plain, or encrypted by `encrypt-keys`).
+ * A line may list the services to run for that key after whitespace:
+ *   <key> cntp,gradient
+ * Lines without a service list use DEFAULT_SERVICES.
  */
 function readKeysFromFile(filePath) {
-  return fs.readFileSync(filePath, 'utf8')
+  return decryptKeyFile(fs.readFileSync(filePath, 'utf8'))
     .split('\n')
     .map(line => line.trim())
     .filter(Boolean)
-    .map(key => ({ key }));
+    .map(line => {
+      const [key, serviceList] = line.split(/\s+/);
+      const services = serviceList
+        ? serviceList.split(',').map(s => s.trim()).filter(Boolean)
+        : DEFAULT_SERVICES;
+      registerSecret(key);
+      return { key, services };
+    });
 }
 
 /**
- * Assign proxies to each key. 
- * By default we assign 5 proxies per key (or fewer if not enough remain).
+ * True if the proxy passed the health check of every given service.
  */
-function assignProxiesToKeys(keys, proxies) {
-  // Create a working copy of the proxy list
-  const availableProxies = [...proxies];
-  
-  return keys.map(k => {
-    // Take first 5 proxies from the available list
-    const assignedProxies = availableProxies.splice(0, 1); // 0, 5 if assign 5 driver for 1 key 
+function proxySupportsServices(proxy, services) {
+  return services.every(service => proxy.success.includes(service));
+}
+
+/**
+ * Assignment strategies. Each one decides which proxies are eligible, in which order
+ * they are handed out, and how they are dealt to keys:
+ *  - "sequential": a key takes all the proxies it needs before the next key gets any
+ *  - "round-robin": keys take one proxy per round, so every key gets one before any gets a second
+ */
+const STRATEGIES = {
+  // Proxy file order, skipping proxies that failed any of the key's services
+  'only-healthy': {
+    healthyOnly: true,
+    order: proxies => proxies,
+    deal: 'sequential'
+  },
+  // Highest rolling score (proxy_scores) first, still skipping unhealthy proxies
+  'best-score': {
+    healthyOnly: true,
+    order: (proxies, scores) => [...proxies].sort(
+      (a, b) => ((scores[b.proxy] || {}).score || 0) - ((scores[a.proxy] || {}).score || 0)
+    ),
+    deal: 'sequential'
+  },
+  // Proxy file order, dealt one per key per round
+  'round-robin': {
+    healthyOnly: true,
+    order: proxies => proxies,
+    deal: 'round-robin'
+  }
+};
+
+const DEFAULT_STRATEGY = 'only-healthy';
+const DEFAULT_PROXIES_PER_KEY = 1; // e.g. 5 to run 5 drivers for 1 key
+
+/**
+ * Assign proxies to each key.
+ *
+ * Existing assignments (`existing`: proxy -> key fingerprint) are kept as long as the proxy is still in
+ * the list and still eligible for the key, so re-runs don't reshuffle keys between proxies.
+ * Proxies held by keys that are no longer in the key file stay reserved.
+ * Only the remaining slots (up to `proxiesPerKey`) are filled by the strategy.
+ */
+function assignProxiesToKeys(keys, proxies, {
+  strategy = DEFAULT_STRATEGY,
+  proxiesPerKey = DEFAULT_PROXIES_PER_KEY,
+  scores = {},
+  existing = {}
+} = {}) {
+  const plan = STRATEGIES[strategy];
+  if (!plan) {
+    throw new Error(`Unknown assignment strategy: ${strategy} (use ${Object.keys(STRATEGIES).join(', ')})`);
+  }
+
+  const eligible = (proxy, k) => !plan.healthyOnly || proxySupportsServices(proxy, k.services);
+  const candidates = plan.order(proxies, scores);
+  const taken = new Set(Object.keys(existing));
+
+  // Keep what each key already has, as long as it is still usable
+  const assignments = keys.map(k => {
+    const hash = keyFingerprint(k.key);
+    const kept = candidates
+      .filter(proxy => existing[proxy.proxy] === hash && eligible(proxy, k))
+      .slice(0, proxiesPerKey);
     return {
       key: k.key,
-      proxies: assignedProxies.map(proxy => ({
-        proxy: proxy.proxy
-      }))
+      services: k.services,
+      proxies: kept.map(proxy => ({ proxy: proxy.proxy })),
+      kept: kept.length
     };
   });
+
+  // Proxies previously held by these keys but no longer kept go back into the pool
+  const keyHashes = new Set(keys.map(k => keyFingerprint(k.key)));
+  for (const [proxy, hash] of Object.entries(existing)) {
+    const stillKept = assignments.some(a => a.proxies.some(p => p.proxy === proxy));
+    if (keyHashes.has(hash) && !stillKept) {
+      taken.delete(proxy);
+    }
+  }
+
+  const takeFor = (k, assignment) => {
+    const proxy = candidates.find(p => !taken.has(p.proxy) && eligible(p, k));
+    if (!proxy) return false;
+    taken.add(proxy.proxy);
+    assignment.proxies.push({ proxy: proxy.proxy });
+    return true;
+  };
+
+  if (plan.deal === 'round-robin') {
+    for (let round = 0; round < proxiesPerKey; round++) {
+      keys.forEach((k, i) => {
+        if (assignments[i].proxies.length <= round) takeFor(k, assignments[i]);
+      });
+    }
+  } else {
+    keys.forEach((k, i) => {
+      while (assignments[i].proxies.length < proxiesPerKey && takeFor(k, assignments[i]));
+    });
+  }
+
+  return assignments;
 }
 
 /**
- * Save the key-proxy mappings into the database.
- * Assumes you have a 'keys' table and a 'keys_proxies' table.
+ * Log how the assignment went and write keys left without any proxy to a file.
+ */
+function reportAssignments(keysWithProxies, { strategy, proxiesPerKey }, outputDir = './output') {
+  const unassigned = keysWithProxies.filter(k => k.proxies.length === 0);
+  const partial = keysWithProxies.filter(k => k.proxies.length > 0 && k.proxies.length < proxiesPerKey);
+  const kept = keysWithProxies.reduce((sum, k) => sum + k.kept, 0);
+  const total = keysWithProxies.reduce((sum, k) => sum + k.proxies.length, 0);
+
+  logger.info(`Assignment report (strategy=${strategy}, proxies per key=${proxiesPerKey}):`);
+  logger.info(`  keys: ${keysWithProxies.length}, proxies assigned: ${total} (${kept} kept from previous runs, ${total - kept} new)`);
+  for (const k of partial) {
+    logger.warn(`  PARTIAL: ${maskKey(k.key)} got ${k.proxies.length}/${proxiesPerKey} proxies`);
+  }
+  for (const k of unassigned) {
+    logger.warn(`  UNASSIGNED: ${maskKey(k.key)} (services: ${k.services.join(', ')}) got no proxy`);
+  }
+  if (unassigned.length === 0 && partial.length === 0) {
+    logger.info('  every key got all of its proxies');
+  }
+
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+  const filePath = path.join(outputDir, 'unassigned_keys.txt');
+  fs.writeFileSync(filePath, unassigned.map(k => maskKey(k.key)).join('\n'), 'utf8');
+}
+
+/**
+ * Existing key -> proxy assignments, as a proxy -> key fingerprint map.
+ */
+async function getExistingAssignments(db) {
+  const rows = await db.all(`
+    SELECT k.key_hash, kp.proxy
+      FROM keys_proxies kp
+      JOIN keys k ON k.id = kp.key_id
+  `);
+  return Object.fromEntries(rows.map(row => [row.proxy, row.key_hash]));
+}
+
+/**
+ * Save the key-proxy mappings and each key's service list into the database.
+ * Assumes you have 'keys', 'keys_proxies' and 'key_services' tables.
  */
 async function saveKeyProxyMappings(db, keysWithProxies) {
   for (const k of keysWithProxies) {
-    // Insert or ignore if key already exists
+    // Insert or ignore if key already exists (encrypted when the key vault is unlocked)
+    const hash = keyFingerprint(k.key);
     await db.run(
-      `INSERT OR IGNORE INTO keys (the_key) VALUES (?)`,
-      [k.key]
+      `INSERT OR IGNORE INTO keys (the_key, key_hash) VALUES (?, ?)`,
+      [sealKey(k.key), hash]
     );
     
     // Get the key's row ID
     const { id } = await db.get(
-      'SELECT id FROM keys WHERE the_key = ?',
-      [k.key]
+      'SELECT id FROM keys WHERE key_hash = ?',
+      [hash]
     );
 
-    // Insert proxy associations
+    // Replace the key's service list with the one from the key file
+    await db.run('DELETE FROM key_services WHERE key_id = ?', [id]);
+    for (const service of k.services) {
+      await db.run(
+        `INSERT OR IGNORE INTO key_services (key_id, service) VALUES (?, ?)`,
+        [id, service]
+      );
+    }
+
+    // Drop proxies the key no longer holds, then insert the current associations
+    const proxies = k.proxies.map(p => p.proxy);
+    await db.run(
+      `DELETE FROM keys_proxies
+        WHERE key_id = ? AND proxy NOT IN (${proxies.map(() => '?').join(', ')})`,
+      [id, ...proxies]
+    );
     for (const proxy of k.proxies) {
       await db.run(
         `INSERT OR IGNORE INTO keys_proxies (key_id, proxy) 
@@ -108,17 +265,25 @@ async function saveFailedProxies(proxies, outputDir = './output') {
 
 /**
  * Main function to read keys, assign proxies, and save mappings.
+ * `options.strategy` is one of STRATEGIES; `options.proxiesPerKey` is how many proxies each key gets.
+ * Resolves with the per-key assignments, or null if processing failed.
  */
-async function processKeysAndProxies(keyFilePath, outputDir = './output') {
+async function processKeysAndProxies(keyFilePath, outputDir = './output', {
+  strategy = DEFAULT_STRATEGY,
+  proxiesPerKey = DEFAULT_PROXIES_PER_KEY
+} = {}) {
   try {
     const db = await initDB();
     
     // Load data
     const proxyList = await getFilteredProxiesFromDB(db);
     const keys = readKeysFromFile(keyFilePath);
+    const scores = await getProxyScores(db);
+    const existing = await getExistingAssignments(db);
     
     // Assign proxies
-    const keysWithProxies = assignProxiesToKeys(keys, proxyList);
+    const keysWithProxies = assignProxiesToKeys(keys, proxyList, { strategy, proxiesPerKey, scores, existing });
+    reportAssignments(keysWithProxies, { strategy, proxiesPerKey }, outputDir);
     
     // Save to database
     await saveKeyProxyMappings(db, keysWithProxies);
@@ -128,9 +293,15 @@ async function processKeysAndProxies(keyFilePath, outputDir = './output') {
     
     await db.close();
     logger.info('Proxy assignment completed successfully');
+    return keysWithProxies;
   } catch (error) {
     logger.error(`Processing failed: ${error.message}`);
+    return null;
   }
 }
 
-module.exports = { processKeysAndProxies };
+module.exports = {
+  STRATEGIES,
+  assignProxiesToKeys,
+  processKeysAndProxies
+};
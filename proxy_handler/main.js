@@ -3,12 +3,16 @@ const fs = require("fs");
 const { Worker } = require("worker_threads");
 const log4js = require("log4js");
 const { initDB } = require("../init_db.js");
+const { listServices } = require("../node_handler/serviceRegistry");
+const { recordProxyChecks, refreshProxyScores } = require("./proxy_scores");
+const { normalizeProxy } = require("./proxy_parser");
+const { PROXY_CHUNK_SIZE } = require("../node_handler/config");
 
-// Configure log4js
+// Configure log4js; the "redacted" layout is registered by config.js
 log4js.configure({
   appenders: {
-    file: { type: 'file', filename: 'process.log' },
-    console: { type: 'console' }
+    file: { type: 'file', filename: 'process.log', layout: { type: 'redacted' } },
+    console: { type: 'console', layout: { type: 'redacted', base: 'coloured' } }
   },
   categories: {
     default: { appenders: ['console', 'file'], level: 'info' }
@@ -17,13 +21,10 @@ log4js.configure({
 
 const logger = log4js.getLogger();
 
-// Adjust chunk size if needed
-const PROXY_CHUNK_SIZE = 10;
-
 /**
- * Create a worker to process a chunk of proxies.
+ * Create a worker to test a chunk of proxies against each { service, probes } target.
  */
-async function processWithWorker(proxies) {
+async function processWithWorker(proxies, targets) {
   return new Promise((resolve, reject) => {
     const worker = new Worker("./proxy_handler/worker.js");
 
@@ -39,7 +40,7 @@ async function processWithWorker(proxies) {
       worker.terminate();
     });
 
-    worker.postMessage({ proxies });
+    worker.postMessage({ proxies, targets });
   });
 }
 
@@ -55,17 +56,78 @@ function chunkArray(arr, chunkSize) {
 }
 
 /**
- * Main function to process proxies and store their success/fail results in DB.
+ * Build the probe list from every registered service that declares probes.
+ * Pass `serviceNames` to limit probing to those services.
+ */
+function buildProbeTargets(serviceNames = null) {
+  return listServices()
+    .filter(service => service.probes.length > 0)
+    .filter(service => !serviceNames || serviceNames.includes(service.name))
+    .map(service => ({ service: service.name, probes: service.probes }));
+}
+
+/**
+ * Store the results of a check-proxies run in filtered_proxies. A service this run didn't probe
+ * (see --service) keeps its last result, and proxies no longer in the proxy file are dropped so
+ * neither assign nor failover hands them out again.
+ */
+async function saveFilteredProxies(db, results, proxyList) {
+  const listed = new Set(proxyList);
+  const rows = await db.all("SELECT proxy, success, fail FROM filtered_proxies");
+  const previous = new Map(rows.map(row => [row.proxy, row]));
+
+  const removed = rows.filter(row => !listed.has(row.proxy));
+  for (const { proxy } of removed) {
+    await db.run("DELETE FROM filtered_proxies WHERE proxy = ?", [proxy]);
+  }
+  if (removed.length > 0) {
+    logger.info(`Dropped ${removed.length} proxies that are no longer in the proxy file`);
+  }
+
+  for (const { proxy, success, fail } of results) {
+    // result = { proxy: ..., exitIp: ..., success: [...], fail: [...], checks: [...] }
+    const row = previous.get(proxy) || { success: "[]", fail: "[]" };
+    const checked = [...success, ...fail];
+    const unchecked = list => JSON.parse(list).filter(service => !checked.includes(service));
+
+    await db.run(
+      `INSERT INTO filtered_proxies (proxy, success, fail)
+       VALUES (?, ?, ?)
+       ON CONFLICT (proxy) DO UPDATE SET success = excluded.success, fail = excluded.fail`,
+      [
+        proxy,
+        JSON.stringify([...unchecked(row.success), ...success]),
+        JSON.stringify([...unchecked(row.fail), ...fail])
+      ]
+    );
+  }
+}
+
+/**
+ * Main function to process proxies and store their per-service success/fail results in DB.
+ * Resolves with the per-proxy results, or null if processing failed.
  */
-async function processProxies(inputFile) {
+async function processProxies(inputFile, serviceNames = null) {
   try {
     logger.info("Starting proxy processing...");
 
-    // 1) Read and clean the list of proxies from the text file
-    const proxyList = fs.readFileSync(inputFile, "utf-8")
+    const targets = buildProbeTargets(serviceNames);
+    logger.info(`Checking proxies against: ${targets.map(t => t.service).join(", ")}`);
+
+    // 1) Read the proxy file and normalize every line (host:port, socks5://..., user:pass@..., host:port:user:pass)
+    const proxyList = [];
+    const lines = fs.readFileSync(inputFile, "utf-8")
       .split("\n")
       .map(line => line.trim())
       .filter(Boolean); // remove empty lines
+    for (const line of lines) {
+      try {
+        const proxy = normalizeProxy(line);
+        if (!proxyList.includes(proxy)) proxyList.push(proxy);
+      } catch (error) {
+        logger.warn(`Skipping proxy line: ${error.message}`);
+      }
+    }
     logger.info(`Loaded ${proxyList.length} proxies from ${inputFile}`);
 
     // 2) Split proxies into chunks
@@ -75,7 +137,7 @@ async function processProxies(inputFile) {
     // 3) Create workers to process chunks
     const workerPromises = proxyChunks.map((chunk, index) => {
       logger.info(`Processing chunk ${index + 1} of ${proxyChunks.length}`);
-      return processWithWorker(chunk);
+      return processWithWorker(chunk, targets);
     });
 
     // 4) Wait for all workers to complete
@@ -88,30 +150,20 @@ async function processProxies(inputFile) {
     // 6) Open DB connection
     const db = await initDB();
 
-    // Optionally clear out old rows
-    await db.run("DELETE FROM filtered_proxies");
-
-    // 7) Insert/Upsert each result into the database
-    for (const result of combinedResults) {
-      // result = { proxy: ..., success: [...], fail: [...] }
-      const { proxy, success, fail } = result;
+    // 7) Merge the results into filtered_proxies
+    await saveFilteredProxies(db, combinedResults, proxyList);
 
-      // Convert success/fail arrays to JSON strings
-      const successJson = JSON.stringify(success);
-      const failJson = JSON.stringify(fail);
-
-      await db.run(
-        `INSERT OR REPLACE INTO filtered_proxies (proxy, success, fail)
-         VALUES (?, ?, ?)`,
-        [proxy, successJson, failJson]
-      );
-    }
+    // 8) Append this run to the check history and refresh the rolling scores
+    await recordProxyChecks(db, combinedResults);
+    await refreshProxyScores(db, combinedResults.map(r => r.proxy));
 
     await db.close();
     logger.info("All proxy results have been saved into the database.");
+    return combinedResults;
   } catch (error) {
     logger.error("Error processing proxies:", error);
+    return null;
   }
 }
 
-module.exports = { processProxies };
+module.exports = { processProxies, saveFilteredProxies };
@@ -0,0 +1,84 @@
+// proxy_handler/proxy_scores.js
+const { SCORE_WINDOW, PROBE_TIMEOUT } = require('../node_handler/config');
+
+// Latency at which a proxy earns no speed credit (the worker's probe timeout)
+const LATENCY_CEILING_MS = PROBE_TIMEOUT;
+
+/**
+ * Append every per-service check returned by the workers to proxy_checks.
+ * `results` is the flattened worker output: [{ proxy, exitIp, checks: [...] }, ...]
+ */
+async function recordProxyChecks(db, results) {
+  for (const { proxy, exitIp, checks } of results) {
+    for (const check of checks) {
+      await db.run(
+        `INSERT INTO proxy_checks (proxy, service, ok, status_code, latency_ms, exit_ip, error_class)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [proxy, check.service, check.ok ? 1 : 0, check.statusCode, check.latencyMs, exitIp, check.errorClass]
+      );
+    }
+  }
+}
+
+/**
+ * Score a proxy from its recent checks (newest first), on a 0-100 scale:
+ * 80 points for the success rate and 20 points for how fast the successful checks were.
+ */
+function computeProxyScore(checks) {
+  if (checks.length === 0) {
+    return { score: 0, successRate: 0, avgLatencyMs: null };
+  }
+
+  const passed = checks.filter(c => c.ok);
+  const successRate = passed.length / checks.length;
+  const avgLatencyMs = passed.length > 0
+    ? Math.round(passed.reduce((sum, c) => sum + c.latency_ms, 0) / passed.length)
+    : null;
+  const speed = avgLatencyMs === null ? 0 : Math.max(0, 1 - avgLatencyMs / LATENCY_CEILING_MS);
+
+  return {
+    score: Math.round((80 * successRate + 20 * speed) * 10) / 10,
+    successRate,
+    avgLatencyMs
+  };
+}
+
+/**
+ * Recompute the rolling score of the given proxies from their last SCORE_WINDOW checks.
+ */
+async function refreshProxyScores(db, proxies) {
+  for (const proxy of proxies) {
+    const checks = await db.all(
+      `SELECT ok, latency_ms, exit_ip FROM proxy_checks
+        WHERE proxy = ?
+        ORDER BY id DESC
+        LIMIT ?`,
+      [proxy, SCORE_WINDOW]
+    );
+    const { score, successRate, avgLatencyMs } = computeProxyScore(checks);
+    const exitIp = (checks.find(c => c.exit_ip) || {}).exit_ip || null;
+
+    await db.run(
+      `INSERT OR REPLACE INTO proxy_scores
+         (proxy, score, success_rate, avg_latency_ms, exit_ip, checks, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [proxy, score, successRate, avgLatencyMs, exitIp, checks.length]
+    );
+  }
+}
+
+/**
+ * Current rolling scores keyed by proxy.
+ */
+async function getProxyScores(db) {
+  const rows = await db.all('SELECT * FROM proxy_scores');
+  return Object.fromEntries(rows.map(row => [row.proxy, row]));
+}
+
+module.exports = {
+  SCORE_WINDOW,
+  recordProxyChecks,
+  computeProxyScore,
+  refreshProxyScores,
+  getProxyScores
+};
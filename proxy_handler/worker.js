@@ -1,7 +1,11 @@
 // proxy_handler/worker.js
 const { parentPort } = require("worker_threads");
 const request = require("request");
+const ProxyChain = require("proxy-chain");
 const log4js = require("log4js");
+const { parseProxy, toProxyUrl, maskProxy } = require("./proxy_parser");
+// Only the settings: config.js would pull Selenium and the automation log into every worker
+const { getSettings } = require("../node_handler/settings");
 
 // Configure log4js
 log4js.configure({
@@ -16,15 +20,12 @@ log4js.configure({
 
 const logger = log4js.getLogger();
 
-/**
- * The new single service we test is "cntp".
- * Replace the URL below with the actual endpoint you want to test.
- */
-const CNTP_URL = "https://www.google.com";
+// Echo service used to learn which IP a proxy exits from, and how long a probe may take
+const { exit_ip_url: EXIT_IP_URL, probe_timeout: PROBE_TIMEOUT } = getSettings().settings;
 
 const headers = {
   'accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
-  'accept-encoding': 'gzip, deflate, br, zstd',
+  'accept-encoding': 'gzip, deflate', // request can only decode these, and probes may read the body
   'accept-language': 'en-US,en;q=0.6',
   'cache-control': 'max-age=0',
   'priority': 'u=0, i',
@@ -41,50 +42,174 @@ const headers = {
 };
 
 /**
- * Test a single proxy for the "cntp" service.
- * If the request to CNTP_URL is successful (HTTP 200), we push "cntp" to `success`.
- * Otherwise, "cntp" goes into `fail`.
+ * Map a request error / probe outcome to a short class name stored with each check.
  */
-async function testProxy(proxyUrl) {
-  const result = {
-    proxy: proxyUrl,
-    success: [],
-    fail: []
+function classifyError(error) {
+  // HTTPS probes fail inside the CONNECT tunnel; the real cause is only in the message
+  const tunnelCause = /tunneling socket.*cause=.*?\b(E[A-Z_]+)/i.exec(error.message || "");
+  const code = tunnelCause ? tunnelCause[1] : error.code;
+
+  switch (code) {
+    case "ETIMEDOUT":
+    case "ESOCKETTIMEDOUT":
+      return "timeout";
+    case "ECONNREFUSED":
+      return "refused";
+    case "ECONNRESET":
+    case "EPIPE":
+      return "reset";
+    case "ENOTFOUND":
+    case "EAI_AGAIN":
+      return "dns";
+    default:
+      return tunnelCause ? "tunnel" : "other";
+  }
+}
+
+/**
+ * Build a rejected-probe error carrying what we learned about the failure.
+ */
+function probeError(message, errorClass, statusCode = null) {
+  return Object.assign(new Error(message), { errorClass, statusCode });
+}
+
+/**
+ * `request` only speaks to http(s) proxies. For SOCKS proxies, start a local
+ * proxy-chain server that forwards to the SOCKS upstream and probe through that.
+ * Returns { url, close } where `url` is an http(s) proxy URL usable by `request`.
+ */
+async function openHttpBridge(proxy) {
+  const parsed = parseProxy(proxy);
+  const upstreamProxyUrl = toProxyUrl(parsed);
+  if (parsed.scheme === "http" || parsed.scheme === "https") {
+    return { url: upstreamProxyUrl, close: async () => {} };
+  }
+
+  const server = new ProxyChain.Server({
+    port: 0,
+    host: "127.0.0.1",
+    prepareRequestFunction: () => ({ upstreamProxyUrl })
+  });
+  await server.listen();
+  return {
+    url: `http://127.0.0.1:${server.port}`,
+    close: () => server.close(true)
   };
+}
+
+/**
+ * Send one probe through the proxy URL. Resolves with the response if it matches the probe's
+ * expected status (default 200) and contains its expected body text, otherwise rejects
+ * with an error carrying `errorClass` and `statusCode`.
+ */
+function runProbe(proxyUrl, probe) {
+  const { url, expectStatus = 200, expectBody } = probe;
+  const allowedStatus = Array.isArray(expectStatus) ? expectStatus : [expectStatus];
 
   const options = {
-    url: CNTP_URL,
-    proxy: `http://${proxyUrl}`,
-    timeout: 10000, // 10 seconds
+    url,
+    proxy: proxyUrl,
+    timeout: PROBE_TIMEOUT,
+    gzip: true,
     headers
   };
 
-  try {
-    await new Promise((resolve, reject) => {
-      request(options, (error, response) => {
-        if (error || response.statusCode !== 200) {
-          return reject(new Error(`Failed to access ${CNTP_URL}`));
-        }
-        resolve(response);
-      });
+  return new Promise((resolve, reject) => {
+    request(options, (error, response, body) => {
+      if (error) {
+        return reject(probeError(`Failed to access ${url}: ${error.message}`, classifyError(error)));
+      }
+      const { statusCode } = response;
+      if (statusCode === 407) {
+        return reject(probeError(`${url} answered 407, proxy authentication required`, "proxy_auth", statusCode));
+      }
+      if (!allowedStatus.includes(statusCode)) {
+        return reject(probeError(`${url} answered ${statusCode}, expected ${allowedStatus.join('/')}`, "bad_status", statusCode));
+      }
+      if (expectBody && !String(body).includes(expectBody)) {
+        return reject(probeError(`${url} response does not contain "${expectBody}"`, "body_mismatch", statusCode));
+      }
+      resolve(response);
     });
-    // If successful
-    result.success.push("cntp");
-    logger.info(`Proxy ${proxyUrl} successfully pinged CNTP service`);
+  });
+}
+
+/**
+ * Ask the echo service which IP the proxy exits from. Returns null when it can't tell.
+ */
+async function getExitIp(proxyUrl, exitIpUrl = EXIT_IP_URL) {
+  try {
+    const response = await runProbe(proxyUrl, { url: exitIpUrl });
+    return JSON.parse(response.body).ip || null;
   } catch (err) {
-    result.fail.push("cntp");
-    logger.error(`Proxy ${proxyUrl} failed to ping CNTP service: ${err.message}`);
+    logger.warn(`Could not resolve exit IP for ${maskProxy(proxyUrl)}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Test a single proxy against every service target.
+ * `targets` is a list of { service, probes } built from the service registry.
+ * A service whose probes all pass goes into `success`, otherwise into `fail`.
+ * Every service test is also returned in `checks` with its latency, status and error class.
+ * `exitIpUrl` replaces the public IP echo service (e.g. for offline tests).
+ */
+async function testProxy(proxy, targets, { exitIpUrl = EXIT_IP_URL } = {}) {
+  const result = {
+    proxy,
+    exitIp: null,
+    success: [],
+    fail: [],
+    checks: []
+  };
+
+  const bridge = await openHttpBridge(proxy);
+  try {
+    result.exitIp = await getExitIp(bridge.url, exitIpUrl);
+
+    for (const { service, probes } of targets) {
+      const startedAt = Date.now();
+      const check = { service, ok: false, statusCode: null, latencyMs: null, errorClass: null };
+
+      try {
+        for (const probe of probes) {
+          const response = await runProbe(bridge.url, probe);
+          check.statusCode = response.statusCode;
+        }
+        // If successful
+        check.ok = true;
+        result.success.push(service);
+        logger.info(`Proxy ${maskProxy(proxy)} successfully pinged ${service} service`);
+      } catch (err) {
+        check.statusCode = err.statusCode || null;
+        check.errorClass = err.errorClass || classifyError(err);
+        result.fail.push(service);
+        logger.error(`Proxy ${maskProxy(proxy)} failed to ping ${service} service: ${err.message}`);
+      }
+
+      check.latencyMs = Date.now() - startedAt;
+      result.checks.push(check);
+    }
+  } finally {
+    await bridge.close();
   }
 
   return result;
 }
 
-// Listen for messages from the parent thread
-parentPort.on("message", async (data) => {
-  logger.info("Worker started processing proxies...");
-  const results = await Promise.all(
-    data.proxies.map(proxy => testProxy(proxy))
-  );
-  logger.info("Worker completed proxy processing.");
-  parentPort.postMessage(results);
-});
+// Listen for messages from the parent thread (the module is also required directly by tests)
+if (parentPort) {
+  parentPort.on("message", async (data) => {
+    logger.info("Worker started processing proxies...");
+    const results = await Promise.all(
+      data.proxies.map(proxy => testProxy(proxy, data.targets))
+    );
+    logger.info("Worker completed proxy processing.");
+    parentPort.postMessage(results);
+  });
+}
+
+module.exports = {
+  classifyError,
+  testProxy
+};
@@ -0,0 +1,91 @@
+// tests/assignProxies.test.js
+require('./helpers/sandbox');
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { assignProxiesToKeys } = require('../proxy_handler/assign_proxy');
+const { keyFingerprint } = require('../node_handler/keyVault');
+
+const proxy = (name, success = ['cntp'], fail = []) => ({ proxy: name, success, fail });
+const assigned = assignments => Object.fromEntries(assignments.map(a => [a.key, a.proxies.map(p => p.proxy)]));
+
+const KEYS = [
+  { key: 'key-one-0001', services: ['cntp'] },
+  { key: 'key-two-0002', services: ['cntp'] }
+];
+
+describe('assignProxiesToKeys', () => {
+  it('gives each key a healthy proxy in file order, skipping proxies that failed its services', () => {
+    const proxies = [proxy('a:1', [], ['cntp']), proxy('b:1'), proxy('c:1')];
+
+    assert.deepStrictEqual(assigned(assignProxiesToKeys(KEYS, proxies)), {
+      'key-one-0001': ['b:1'],
+      'key-two-0002': ['c:1']
+    });
+  });
+
+  it('only hands out proxies that passed every service of the key', () => {
+    const keys = [{ key: 'key-multi-01', services: ['cntp', 'gradient'] }];
+    const proxies = [proxy('a:1'), proxy('b:1', ['cntp', 'gradient'])];
+
+    assert.deepStrictEqual(assigned(assignProxiesToKeys(keys, proxies)), { 'key-multi-01': ['b:1'] });
+  });
+
+  it('deals sequentially or round-robin when keys take several proxies', () => {
+    const proxies = ['a:1', 'b:1', 'c:1', 'd:1'].map(name => proxy(name));
+
+    assert.deepStrictEqual(assigned(assignProxiesToKeys(KEYS, proxies, { proxiesPerKey: 3 })), {
+      'key-one-0001': ['a:1', 'b:1', 'c:1'],
+      'key-two-0002': ['d:1']
+    });
+    assert.deepStrictEqual(assigned(assignProxiesToKeys(KEYS, proxies, { strategy: 'round-robin', proxiesPerKey: 3 })), {
+      'key-one-0001': ['a:1', 'c:1'],
+      'key-two-0002': ['b:1', 'd:1']
+    });
+  });
+
+  it('prefers the best scored proxies with best-score', () => {
+    const proxies = ['a:1', 'b:1', 'c:1'].map(name => proxy(name));
+    const scores = { 'a:1': { score: 10 }, 'b:1': { score: 90 }, 'c:1': { score: 50 } };
+
+    assert.deepStrictEqual(assigned(assignProxiesToKeys(KEYS, proxies, { strategy: 'best-score', scores })), {
+      'key-one-0001': ['b:1'],
+      'key-two-0002': ['c:1']
+    });
+  });
+
+  it('keeps existing assignments and reserves proxies of keys no longer in the file', () => {
+    const proxies = ['a:1', 'b:1', 'c:1'].map(name => proxy(name));
+    const existing = {
+      'c:1': keyFingerprint('key-two-0002'),
+      'a:1': keyFingerprint('key-removed-9')
+    };
+
+    const assignments = assignProxiesToKeys(KEYS, proxies, { existing });
+    assert.deepStrictEqual(assigned(assignments), {
+      'key-one-0001': ['b:1'],
+      'key-two-0002': ['c:1']
+    });
+    assert.deepStrictEqual(assignments.map(a => a.kept), [0, 1]);
+  });
+
+  it('frees a kept proxy that stopped passing the key services', () => {
+    const proxies = [proxy('a:1', [], ['cntp']), proxy('b:1')];
+    const existing = { 'a:1': keyFingerprint('key-one-0001') };
+
+    assert.deepStrictEqual(assigned(assignProxiesToKeys(KEYS.slice(0, 1), proxies, { existing })), {
+      'key-one-0001': ['b:1']
+    });
+  });
+
+  it('leaves keys without a proxy when there are not enough', () => {
+    assert.deepStrictEqual(assigned(assignProxiesToKeys(KEYS, [proxy('a:1')])), {
+      'key-one-0001': ['a:1'],
+      'key-two-0002': []
+    });
+  });
+
+  it('rejects an unknown strategy', () => {
+    assert.throws(() => assignProxiesToKeys(KEYS, [], { strategy: 'random' }), /Unknown assignment strategy/);
+  });
+});
@@ -0,0 +1,105 @@
+// tests/bandwidthUsage.test.js
+//
+// Booking gateway traffic per key + proxy + service and the daily bandwidth budget, on an
+// in-memory DB.
+require('./helpers/sandbox');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const config = require('../node_handler/config');
+const {
+  serviceOfHost,
+  recordBandwidth,
+  getBandwidthBudget,
+  getDailyBandwidth,
+  getKeyBandwidth
+} = require('../node_handler/bandwidthUsage');
+const { openMemoryDB, seedKey } = require('./helpers/memoryDb');
+
+const KEY = `0x${'ab12'.repeat(16)}`;
+const PROXY = '10.0.0.1:8080';
+const MB = 1024 * 1024;
+
+describe('serviceOfHost', () => {
+  it('books a host under the service whose domain it belongs to', () => {
+    assert.strictEqual(serviceOfHost('api.conet.network', ['gradient', 'cntp']), 'cntp');
+    assert.strictEqual(serviceOfHost('gradient.network', ['gradient', 'cntp']), 'gradient');
+  });
+
+  it('books hosts of other services and unknown hosts as "other"', () => {
+    assert.strictEqual(serviceOfHost('app.gradient.network', ['cntp']), 'other');
+    assert.strictEqual(serviceOfHost('clients2.google.com', ['gradient', 'cntp']), 'other');
+    assert.strictEqual(serviceOfHost('notconet.network', ['cntp']), 'other');
+  });
+});
+
+describe('bandwidth accounting', () => {
+  let db;
+  let keyId;
+
+  beforeEach(async () => {
+    db = await openMemoryDB();
+    keyId = await seedKey(db, { key: KEY, proxy: PROXY });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  it('adds traffic to the day row of its key, proxy and service', async () => {
+    await recordBandwidth(db, { keyId, proxy: PROXY, service: 'cntp', bytesSent: 100, bytesReceived: 1000 });
+    await recordBandwidth(db, { keyId, proxy: PROXY, service: 'cntp', bytesSent: 50, bytesReceived: 500 });
+    await recordBandwidth(db, { keyId, proxy: PROXY, service: 'other', bytesSent: 1, bytesReceived: 2 });
+
+    const rows = await db.all(`SELECT service, bytes_sent, bytes_received FROM bandwidth_usage ORDER BY service`);
+    assert.deepStrictEqual(rows, [
+      { service: 'cntp', bytes_sent: 150, bytes_received: 1500 },
+      { service: 'other', bytes_sent: 1, bytes_received: 2 }
+    ]);
+    assert.deepStrictEqual(await getBandwidthBudget(db, keyId), { usedBytes: 1653, budgetBytes: null });
+  });
+
+  it('adds up blocked requests and the traffic they saved', async () => {
+    await recordBandwidth(db, { keyId, proxy: PROXY, service: 'cntp', bytesSent: 10, bytesReceived: 20 });
+    await recordBandwidth(db, { keyId, proxy: PROXY, service: 'cntp', blockedRequests: 3, savedBytes: MB });
+    await recordBandwidth(db, { keyId, proxy: PROXY, service: 'cntp', blockedRequests: 1, savedBytes: MB / 2 });
+
+    const [row] = await getDailyBandwidth(db);
+    assert.strictEqual(row.blocked, 4);
+    assert.strictEqual(row.mb_saved_est, 1.5);
+    assert.deepStrictEqual((await getBandwidthBudget(db, keyId)).usedBytes, 30);
+  });
+
+  it('puts a key over budget once today\'s traffic exceeds its own budget', async () => {
+    await db.run(`UPDATE keys SET bandwidth_budget_mb = 1 WHERE id = ?`, [keyId]);
+    await recordBandwidth(db, { keyId, proxy: PROXY, service: 'cntp', bytesSent: 0, bytesReceived: MB });
+    assert.deepStrictEqual(await getBandwidthBudget(db, keyId), { usedBytes: MB, budgetBytes: MB });
+    assert.strictEqual((await getKeyBandwidth(db))[0].over_budget, false);
+
+    // Yesterday's traffic doesn't count against today's budget
+    await db.run(
+      `INSERT INTO bandwidth_usage (key_id, proxy, service, day, bytes_sent, bytes_received)
+       VALUES (?, ?, 'cntp', date('now', '-1 day'), 0, ?)`,
+      [keyId, PROXY, 5 * MB]
+    );
+    await recordBandwidth(db, { keyId, proxy: PROXY, service: 'other', bytesSent: 1, bytesReceived: 0 });
+
+    const [row] = await getKeyBandwidth(db);
+    assert.deepStrictEqual(
+      { mb_today: row.mb_today, mb_period: row.mb_period, budget_mb: row.budget_mb, over_budget: row.over_budget },
+      { mb_today: 1, mb_period: 6, budget_mb: 1, over_budget: true }
+    );
+  });
+
+  it('falls back to BANDWIDTH_BUDGET_MB for keys without their own budget', async () => {
+    const defaultBudget = config.BANDWIDTH_BUDGET_MB;
+    config.BANDWIDTH_BUDGET_MB = 2;
+    try {
+      assert.strictEqual((await getBandwidthBudget(db, keyId)).budgetBytes, 2 * MB);
+      await db.run(`UPDATE keys SET bandwidth_budget_mb = 0 WHERE id = ?`, [keyId]);
+      assert.strictEqual((await getBandwidthBudget(db, keyId)).budgetBytes, null);
+    } finally {
+      config.BANDWIDTH_BUDGET_MB = defaultBudget;
+    }
+  });
+});
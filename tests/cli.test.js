@@ -0,0 +1,21 @@
+// tests/cli.test.js
+require('./helpers/sandbox');
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { parseCliArgs } = require('../cli');
+
+describe('parseCliArgs', () => {
+  it('leaves headless and monitor to the settings unless a flag is passed', () => {
+    const { options } = parseCliArgs(['run']);
+    assert.strictEqual(options.headless, undefined);
+    assert.strictEqual(options.monitor, undefined);
+  });
+
+  it('overrides the settings with --no-headless, --monitor and --no-monitor', () => {
+    assert.strictEqual(parseCliArgs(['run', '--no-headless']).options.headless, false);
+    assert.strictEqual(parseCliArgs(['run', '--monitor']).options.monitor, true);
+    assert.strictEqual(parseCliArgs(['run', '--no-monitor']).options.monitor, false);
+    assert.throws(() => parseCliArgs(['run', '--monitor', '--no-monitor']), /either --monitor or --no-monitor/);
+  });
+});
@@ -0,0 +1,145 @@
+// tests/cntpService.test.js
+//
+// CNTPService login and check against a fake WebDriver playing the extension popup, and
+// against the popup fixture in a real headless Chrome when one is installed.
+const { SANDBOX_DIR } = require('./helpers/sandbox');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const config = require('../node_handler/config');
+const cntp = require('../node_handler/services/cntp');
+const { InvalidKeyError, ExtensionNotLoadedError, SelectorNotFoundError } = require('../node_handler/errors');
+const { findChrome, buildTestDriver } = require('./helpers/browser');
+
+const POPUP_URL = pathToFileURL(path.join(__dirname, 'fixtures', 'cntp_popup.html')).href;
+const VALID_KEY = `0x${'ab12'.repeat(16)}`;
+const PROXY = '127.0.0.1:1';
+
+/**
+ * WebDriver standing in for the CNTP popup, like tests/fixtures/cntp_popup.html: the import form
+ * (keyInput, loginButton) until a key of 0x + 64 hex digits is imported, then the balance
+ * (loginConfirmElement, cntpValue). Elements are found by the first XPath of each selector.
+ * Without `installed` the popup URL shows Chrome's error page.
+ */
+function fakePopupDriver({ wallet = null, installed = true } = {}) {
+  const { selectors } = config.services.cntp;
+  const first = selector => (Array.isArray(selector) ? selector[0] : selector);
+  let url = 'about:blank';
+  let typed = '';
+
+  const elements = () => {
+    if (!installed || url === 'about:blank') return {};
+    if (state.wallet) {
+      return {
+        [first(selectors.loginConfirmElement)]: { getText: async () => 'CNTP balance' },
+        [first(selectors.cntpValue)]: { getText: async () => '1234' }
+      };
+    }
+    return {
+      [first(selectors.keyInput)]: { sendKeys: async text => { typed += text; } },
+      [first(selectors.loginButton)]: {
+        click: async () => {
+          if (/^0x[0-9a-fA-F]{64}$/.test(typed.trim())) state.wallet = typed.trim();
+        }
+      }
+    };
+  };
+
+  const state = {
+    wallet,
+    visited: [],
+    async get(target) {
+      this.visited.push(target);
+      url = installed ? target : 'chrome-error://chromewebdata/';
+    },
+    async getCurrentUrl() { return url; },
+    async sleep() {},
+    async findElements(locator) {
+      const element = elements()[locator.value];
+      return element ? [element] : [];
+    },
+    async wait(condition, timeout) {
+      // until.elementLocated() is a Condition object, fallback lists are plain functions
+      const found = await (typeof condition === 'function' ? condition : condition.fn)(this);
+      if (!found) throw new Error(`Waited ${timeout}ms`);
+      return found;
+    }
+  };
+  return state;
+}
+
+describe('CNTPService', () => {
+  it('imports a valid key and reads the balance', async () => {
+    const driver = fakePopupDriver();
+
+    assert.strictEqual(await cntp.login(driver, VALID_KEY, PROXY), true);
+    assert.strictEqual(driver.wallet, VALID_KEY);
+    assert.strictEqual(await cntp.check(driver, VALID_KEY, PROXY), 1234);
+  });
+
+  it('skips the import form when the wallet is already there', async () => {
+    const driver = fakePopupDriver({ wallet: VALID_KEY });
+
+    assert.strictEqual(await cntp.login(driver, VALID_KEY, PROXY), true);
+    assert.deepStrictEqual(driver.visited, [config.services.cntp.login_url]);
+  });
+
+  it('fails permanently with InvalidKeyError when the popup rejects the key', async () => {
+    await assert.rejects(
+      cntp.login(fakePopupDriver(), 'not-a-private-key', PROXY),
+      error => error instanceof InvalidKeyError && error.action === 'permanent'
+    );
+  });
+
+  it('reports an extension that is not installed', async () => {
+    await assert.rejects(cntp.login(fakePopupDriver({ installed: false }), VALID_KEY, PROXY), ExtensionNotLoadedError);
+  });
+
+  it('fails with SelectorNotFoundError when the balance is not shown', async () => {
+    await assert.rejects(cntp.check(fakePopupDriver(), VALID_KEY, PROXY), SelectorNotFoundError);
+  });
+});
+
+describe('CNTPService in Chrome', { skip: !findChrome() && 'no Chrome/Chromium installed' }, () => {
+  let driver;
+  const { login_url, extension_url } = config.services.cntp;
+
+  before(async () => {
+    // The fixture stands in for both extension pages
+    config.services.cntp.login_url = POPUP_URL;
+    config.services.cntp.extension_url = POPUP_URL;
+    driver = await buildTestDriver(path.join(SANDBOX_DIR, 'profile'));
+  });
+
+  after(async () => {
+    config.services.cntp.login_url = login_url;
+    config.services.cntp.extension_url = extension_url;
+    if (driver) await driver.quit();
+  });
+
+  beforeEach(async () => {
+    // Start every test without an imported wallet
+    await driver.get(POPUP_URL);
+    await driver.executeScript('localStorage.clear()');
+  });
+
+  it('imports a valid key and reads the balance', async () => {
+    assert.strictEqual(await cntp.login(driver, VALID_KEY, PROXY), true);
+    assert.strictEqual(await cntp.check(driver, VALID_KEY, PROXY), 1234);
+  });
+
+  it('skips the import form when the wallet is already there', async () => {
+    await driver.executeScript(`localStorage.setItem('wallet', '${VALID_KEY}')`);
+    assert.strictEqual(await cntp.login(driver, VALID_KEY, PROXY), true);
+    assert.strictEqual(await driver.executeScript('return localStorage.getItem("wallet")'), VALID_KEY);
+  });
+
+  it('fails permanently with InvalidKeyError when the popup rejects the key', async () => {
+    await assert.rejects(
+      cntp.login(driver, 'not-a-private-key', PROXY),
+      error => error instanceof InvalidKeyError && error.action === 'permanent'
+    );
+  });
+});
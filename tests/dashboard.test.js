@@ -0,0 +1,114 @@
+// tests/dashboard.test.js
+//
+// The dashboard's action endpoints on an in-memory DB, with a stub manager standing in for
+// the AutomationManager whose failover they go through.
+require('./helpers/sandbox');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const { startDashboard } = require('../dashboard/dashboard');
+const { maskProxy } = require('../proxy_handler/proxy_parser');
+const { openMemoryDB, seedKey } = require('./helpers/memoryDb');
+
+const KEY = `0x${'ef56'.repeat(16)}`;
+const PROXY = '10.0.0.1:8080';
+const OTHER_KEY = `0x${'ab78'.repeat(16)}`;
+const AUTH_PROXY = 'alice:s3cret@10.0.0.7:8080';
+
+describe('dashboard', () => {
+  let db;
+  let server;
+  let base;
+  let keyId;
+  const swaps = [];
+
+  before(async () => {
+    db = await openMemoryDB();
+    keyId = await seedKey(db, { key: KEY, proxy: PROXY });
+    await db.run(`INSERT INTO task_monitoring (key_id, proxy, service, state) VALUES (?, ?, 'cntp', 'pending')`, [keyId, PROXY]);
+    const manager = {
+      getDB: async () => db,
+      findSpareProxy: async () => null,
+      failoverProxy: async (kp, services, reason, target) => {
+        swaps.push({ from: kp.proxy, to: target });
+        return target;
+      }
+    };
+    server = await startDashboard(manager, { host: '127.0.0.1', port: 0 });
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.close();
+    await db.close();
+  });
+
+  const task = () => db.get(`SELECT state FROM task_monitoring WHERE key_id = ?`, [keyId]);
+
+  const post = async (path, body) => {
+    const res = await fetch(`${base}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  // http.request, since fetch won't send a Host header of its own
+  const send = (method, path, headers) => new Promise((resolve, reject) => {
+    const req = http.request(`${base}${path}`, { method, headers }, res => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on('error', reject);
+    req.end(method === 'POST' ? '{}' : undefined);
+  });
+
+  it('swaps the key to the given proxy', async () => {
+    const { status, body } = await post(`/api/keys/${keyId}/swap-proxy`, { proxy: 'http://10.0.0.9:3128' });
+
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body, { from: PROXY, to: '10.0.0.9:3128' });
+    assert.deepStrictEqual(swaps, [{ from: PROXY, to: '10.0.0.9:3128' }]);
+  });
+
+  it('answers 400 with the parse error for a proxy it cannot read', async () => {
+    const { status, body } = await post(`/api/keys/${keyId}/swap-proxy`, { proxy: 'ftp://10.0.0.9:21' });
+
+    assert.strictEqual(status, 400);
+    assert.match(body.error, /^Invalid proxy: Unsupported proxy scheme "ftp"/);
+    assert.strictEqual(swaps.length, 1);
+  });
+
+  it('refuses actions that are not JSON or come from another site', async () => {
+    const pause = headers => send('POST', '/api/services/cntp/pause', headers);
+
+    assert.strictEqual(await pause({ 'Content-Type': 'text/plain' }), 415);
+    assert.strictEqual(await pause({ 'Content-Type': 'application/json', Origin: 'https://evil.test' }), 403);
+    assert.strictEqual(await pause({ 'Content-Type': 'application/json', Origin: 'null' }), 403);
+    assert.strictEqual(await pause({ 'Content-Type': 'application/json', Host: `evil.test:${server.address().port}` }), 403);
+    assert.strictEqual((await task()).state, 'pending');
+
+    assert.strictEqual(await pause({ 'Content-Type': 'application/json; charset=utf-8', Origin: base }), 200);
+    assert.strictEqual((await task()).state, 'paused');
+  });
+
+  it('masks proxy passwords in its answers and still swaps by the masked proxy', async () => {
+    const otherId = await seedKey(db, { key: OTHER_KEY, proxy: AUTH_PROXY });
+    const keys = await (await fetch(`${base}/api/keys`)).json();
+    assert.strictEqual(keys.find(k => k.id === otherId).proxy, 'alice:***@10.0.0.7:8080');
+    assert.doesNotMatch(JSON.stringify(keys), /s3cret/);
+
+    const { status, body } = await post(`/api/keys/${otherId}/swap-proxy`, { from: maskProxy(AUTH_PROXY), proxy: '10.0.0.8:3128' });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body, { from: 'alice:***@10.0.0.7:8080', to: '10.0.0.8:3128' });
+    assert.deepStrictEqual(swaps.at(-1), { from: AUTH_PROXY, to: '10.0.0.8:3128' });
+  });
+
+  it('refuses reads for another host', async () => {
+    assert.strictEqual(await send('GET', '/api/keys', { Host: `evil.test:${server.address().port}` }), 403);
+    assert.strictEqual(await send('GET', '/', { Host: `evil.test:${server.address().port}` }), 403);
+    assert.strictEqual(await send('GET', '/api/keys', {}), 200);
+  });
+});
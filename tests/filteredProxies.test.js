@@ -0,0 +1,49 @@
+// tests/filteredProxies.test.js
+require('./helpers/sandbox');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { saveFilteredProxies } = require('../proxy_handler/main');
+const { openMemoryDB } = require('./helpers/memoryDb');
+
+const result = (proxy, success, fail) => ({ proxy, success, fail, checks: [] });
+
+describe('saveFilteredProxies', () => {
+  let db;
+
+  const rows = async () => (await db.all('SELECT * FROM filtered_proxies ORDER BY proxy'))
+    .map(row => [row.proxy, JSON.parse(row.success), JSON.parse(row.fail)]);
+
+  beforeEach(async () => {
+    db = await openMemoryDB();
+    await saveFilteredProxies(db, [
+      result('a:1', ['cntp', 'gradient'], []),
+      result('b:1', ['cntp'], ['gradient'])
+    ], ['a:1', 'b:1']);
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  it('replaces only the results of the services this run checked', async () => {
+    await saveFilteredProxies(db, [
+      result('a:1', [], ['gradient']),
+      result('b:1', ['gradient'], [])
+    ], ['a:1', 'b:1']);
+
+    assert.deepStrictEqual(await rows(), [
+      ['a:1', ['cntp'], ['gradient']],
+      ['b:1', ['cntp', 'gradient'], []]
+    ]);
+  });
+
+  it('drops proxies that are no longer in the proxy file', async () => {
+    await saveFilteredProxies(db, [result('c:1', ['cntp'], [])], ['a:1', 'c:1']);
+
+    assert.deepStrictEqual(await rows(), [
+      ['a:1', ['cntp', 'gradient'], []],
+      ['c:1', ['cntp'], []]
+    ]);
+  });
+});
@@ -0,0 +1,169 @@
+// tests/flowRunner.test.js
+//
+// Validating and running declarative flows against a fake browser whose page is a set of
+// elements, recording every action the flow takes.
+require('./helpers/sandbox');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const config = require('../node_handler/config');
+const { interpolate, validateSteps, runSteps } = require('../node_handler/flowRunner');
+const { InvalidKeyError, SelectorNotFoundError } = require('../node_handler/errors');
+
+const LOGIN_URL = 'https://flowy.test/login';
+
+const SERVICE = {
+  login_url: LOGIN_URL,
+  selectors: {
+    username: '#user',
+    password: '#pass',
+    loginButton: '#login',
+    earnings: '#earnings',
+    banner: '#banner',
+    welcome: '#welcome'
+  }
+};
+
+/**
+ * Browser showing the elements listed in `elements` (selector -> text) on every page. Each
+ * navigation, click and keystroke is appended to `actions`.
+ */
+function fakeDriver(elements) {
+  const actions = [];
+  const element = selector => ({
+    async click() { actions.push(`click ${selector}`); },
+    async sendKeys(text) { actions.push(`type ${selector} ${text}`); },
+    async getText() { return elements[selector]; }
+  });
+  const find = async locator => (locator.value in elements ? [element(locator.value)] : []);
+  return {
+    actions,
+    async get(url) { actions.push(`get ${url}`); },
+    async getCurrentUrl() { return LOGIN_URL; },
+    async sleep(ms) { actions.push(`sleep ${ms}`); },
+    findElements: find,
+    async wait(condition, timeout) {
+      // until.elementLocated() is a Condition object, fallback lists are plain functions
+      const found = await (typeof condition === 'function' ? condition : condition.fn)(this);
+      if (!found) throw new Error(`Waited ${timeout}ms`);
+      return found;
+    }
+  };
+}
+
+describe('validateSteps', () => {
+  it('accepts a flow that only uses configured selectors and URLs', () => {
+    const steps = [
+      { navigate: 'login_url' },
+      { type: 'username', text: '{{username}}' },
+      { click: 'loginButton', optional: true },
+      { sleep: 1000 },
+      { sleep: 'page_settle_delay' },
+      { readText: 'earnings', as: 'earnings', timeout: 'timeouts.loginCheck' },
+      { branchIfPresent: 'banner', then: [{ click: 'banner' }] }
+    ];
+    assert.deepStrictEqual(validateSteps(steps, SERVICE, 'login'), []);
+  });
+
+  it('names every step it rejects, including nested ones', () => {
+    const steps = [
+      { navigate: 'extension_url' },
+      { click: 'loginButton', waitFor: 'username' },
+      { type: 'nope', text: 'x' },
+      { type: 'username' },
+      { sleep: '1s' },
+      { readText: 'earnings' },
+      { branchIfPresent: 'banner', else: [{ navigate: 'flowy.test' }] },
+      { waitFor: 'welcome', timeout: 'timeouts.nope' }
+    ];
+    assert.deepStrictEqual(validateSteps(steps, SERVICE, 'login'), [
+      'login[0]: extension_url is not configured',
+      'login[1]: a step needs exactly one of navigate, waitFor, type, click, sleep, readText, assert, branchIfPresent',
+      'login[2]: unknown selector "nope"',
+      'login[3]: type needs "text"',
+      'login[4]: sleep expects milliseconds or a setting name',
+      'login[5]: readText needs "as"',
+      'login[6].else[0]: navigate expects login_url, extension_url or a URL',
+      'login[7]: timeout expects milliseconds or a setting name'
+    ]);
+    assert.deepStrictEqual(validateSteps({ navigate: 'login_url' }, SERVICE, 'check'), ['check: expected a list of steps']);
+  });
+});
+
+describe('runSteps', () => {
+  before(() => {
+    config.services.flowy = SERVICE;
+  });
+
+  after(() => {
+    delete config.services.flowy;
+  });
+
+  const run = (driver, steps, vars = {}) => runSteps(driver, steps, { service: 'flowy', logger: config.logger, vars });
+
+  it('runs the steps in order and stores what readText reads', async () => {
+    const driver = fakeDriver({ '#user': '', '#pass': '', '#login': '', '#earnings': '1,234' });
+    const vars = await run(driver, [
+      { navigate: 'login_url' },
+      { type: 'username', text: '{{username}}' },
+      { type: 'password', text: '{{password}}' },
+      { click: 'loginButton' },
+      { sleep: 500 },
+      { sleep: 'page_settle_delay' },
+      { readText: 'earnings', as: 'earnings' },
+      { readText: 'welcome', as: 'greeting', default: 'N/A', timeout: 10 }
+    ], { username: 'alice', password: 'pw' });
+
+    assert.deepStrictEqual(driver.actions, [
+      `get ${LOGIN_URL}`,
+      'type #user alice',
+      'type #pass pw',
+      'click #login',
+      'sleep 500',
+      `sleep ${config.PAGE_SETTLE_DELAY}`
+    ]);
+    assert.deepStrictEqual(vars, { username: 'alice', password: 'pw', earnings: '1,234', greeting: 'N/A' });
+  });
+
+  it('takes the branch matching whether the element is there', async () => {
+    const driver = fakeDriver({ '#banner': '' });
+    await run(driver, [
+      { branchIfPresent: 'banner', timeout: 10, then: [{ click: 'banner' }], else: [{ sleep: 1 }] },
+      { branchIfPresent: 'welcome', timeout: 10, then: [{ click: 'welcome' }], else: [{ sleep: 2 }] }
+    ]);
+    assert.deepStrictEqual(driver.actions, ['click #banner', 'sleep 2']);
+  });
+
+  it('stops at the first failing step with the error it asks for', async () => {
+    const driver = fakeDriver({ '#user': '' });
+    await assert.rejects(
+      run(driver, [
+        { type: 'username', text: 'alice' },
+        { assert: 'welcome', timeout: 10, error: 'invalid_key', message: 'key rejected' },
+        { sleep: 1 }
+      ]),
+      error => error instanceof InvalidKeyError && /key rejected/.test(error.message)
+    );
+    assert.deepStrictEqual(driver.actions, ['type #user alice']);
+
+    await assert.rejects(run(driver, [{ waitFor: 'welcome', timeout: 10 }]), SelectorNotFoundError);
+    await assert.rejects(run(driver, [{ assert: 'username', absent: true, timeout: 10 }]), SelectorNotFoundError);
+  });
+
+  it('fails a step whose text names a variable that is not set', async () => {
+    const driver = fakeDriver({ '#user': '' });
+    await assert.rejects(run(driver, [{ type: 'username', text: '{{username}}' }]), /Flow variable "username" is not set/);
+    assert.deepStrictEqual(driver.actions, []);
+  });
+});
+
+describe('interpolate', () => {
+  it('replaces every {{name}} with its flow variable', () => {
+    assert.strictEqual(interpolate('{{ user }}:{{pass}}@{{user}}', { user: 'bob', pass: 0 }), 'bob:0@bob');
+    assert.strictEqual(interpolate('no variables', {}), 'no variables');
+  });
+
+  it('throws on a variable that is not set', () => {
+    assert.throws(() => interpolate('https://x.test/{{key}}', {}), /Flow variable "key" is not set/);
+  });
+});
@@ -0,0 +1,50 @@
+// tests/helpers/browser.js
+const fs = require('fs');
+const { Builder } = require('selenium-webdriver');
+const chrome = require('selenium-webdriver/chrome');
+
+const CHROME_CANDIDATES = [
+  '/usr/bin/chromium-browser',
+  '/usr/bin/chromium',
+  '/usr/bin/google-chrome',
+  '/usr/bin/google-chrome-stable'
+];
+
+/**
+ * Path of a local Chrome/Chromium (CHROME_BIN first), or null when there is none.
+ */
+function findChrome() {
+  return [process.env.CHROME_BIN, ...CHROME_CANDIDATES].find(file => file && fs.existsSync(file)) || null;
+}
+
+/**
+ * Path of the chromedriver shipped by the "chromedriver" package, or null to let Selenium find one.
+ */
+function findChromedriver() {
+  try {
+    return require('chromedriver').path;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Headless Chrome on a fresh profile in `profileDir`, for tests that drive real pages.
+ */
+async function buildTestDriver(profileDir) {
+  const options = new chrome.Options();
+  options.setChromeBinaryPath(findChrome());
+  options.addArguments('--headless', '--no-sandbox', '--disable-gpu', `--user-data-dir=${profileDir}`);
+
+  const builder = new Builder().forBrowser('chrome').setChromeOptions(options);
+  const chromedriver = findChromedriver();
+  if (chromedriver) {
+    builder.setChromeService(new chrome.ServiceBuilder(chromedriver));
+  }
+  return builder.build();
+}
+
+module.exports = {
+  findChrome,
+  buildTestDriver
+};
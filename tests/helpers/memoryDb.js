@@ -0,0 +1,40 @@
+// tests/helpers/memoryDb.js
+const { initDB } = require('../../init_db');
+const { keyFingerprint } = require('../../node_handler/keyVault');
+
+/**
+ * A fresh in-memory cache DB with every migration applied.
+ */
+function openMemoryDB() {
+  return initDB(':memory:');
+}
+
+/**
+ * Insert a key, its proxy and its services the way `assign` does. Resolves with the key row id.
+ */
+async function seedKey(db, { key, proxy, services = ['cntp'] }) {
+  const { lastID } = await db.run(`INSERT INTO keys (the_key, key_hash) VALUES (?, ?)`, [key, keyFingerprint(key)]);
+  await db.run(`INSERT INTO keys_proxies (key_id, proxy) VALUES (?, ?)`, [lastID, proxy]);
+  for (const service of services) {
+    await db.run(`INSERT INTO key_services (key_id, service) VALUES (?, ?)`, [lastID, service]);
+  }
+  return lastID;
+}
+
+/**
+ * Add proxies to filtered_proxies as if check-proxies passed them for `services`.
+ */
+async function seedProxies(db, proxies, services = ['cntp']) {
+  for (const proxy of proxies) {
+    await db.run(
+      `INSERT INTO filtered_proxies (proxy, success, fail) VALUES (?, ?, '[]')`,
+      [proxy, JSON.stringify(services)]
+    );
+  }
+}
+
+module.exports = {
+  openMemoryDB,
+  seedKey,
+  seedProxies
+};
@@ -0,0 +1,91 @@
+// tests/helpers/proxyStandIn.js
+//
+// A local HTTP proxy that answers proxied requests itself instead of reaching the internet,
+// standing in for the proxies worker.js tests. HTTPS tunnels (CONNECT) are refused.
+const http = require('http');
+
+/**
+ * Start the stand-in on a free port.
+ *  routes  absolute URL -> { status = 200, body = '' } answered through the proxy; other URLs get a 502
+ *  auth    "user:pass" the proxy requires (407 without it)
+ * Resolves with { proxy: "host:port", requests: [urls seen], close() }.
+ */
+function startProxyStandIn({ routes = {}, auth = null } = {}) {
+  const requests = [];
+  const expectedAuth = auth ? `Basic ${Buffer.from(auth).toString('base64')}` : null;
+
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    if (expectedAuth && req.headers['proxy-authorization'] !== expectedAuth) {
+      res.writeHead(407, { 'Proxy-Authenticate': 'Basic realm="stand-in"' });
+      res.end();
+      return;
+    }
+
+    const route = routes[req.url];
+    if (!route) {
+      res.writeHead(502);
+      res.end(`stand-in has no route for ${req.url}`);
+      return;
+    }
+    res.writeHead(route.status || 200, { 'Content-Type': 'text/html' });
+    res.end(route.body || '');
+  });
+  server.on('connect', (req, socket) => {
+    requests.push(`CONNECT ${req.url}`);
+    socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        proxy: `127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+/**
+ * A "host:port" with nothing listening on it, for a proxy that refuses connections.
+ */
+function closedPort() {
+  const server = http.createServer();
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(`127.0.0.1:${port}`));
+    });
+  });
+}
+
+/**
+ * GET `target` through the HTTP proxy at `proxyUrl` (credentials in the URL are sent as
+ * Proxy-Authorization). Resolves with { status, body }.
+ */
+function getThroughProxy(proxyUrl, target) {
+  const proxy = new URL(proxyUrl);
+  const headers = { Host: new URL(target).host };
+  if (proxy.username) {
+    headers['Proxy-Authorization'] = `Basic ${Buffer.from(`${proxy.username}:${proxy.password}`).toString('base64')}`;
+  }
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: proxy.hostname, port: proxy.port, path: target, headers, agent: false }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+module.exports = {
+  startProxyStandIn,
+  closedPort,
+  getThroughProxy
+};
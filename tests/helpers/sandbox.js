@@ -0,0 +1,22 @@
+// tests/helpers/sandbox.js
+//
+// Require this first in every test file: it moves the process into a throwaway working
+// directory, so output/, profiles/ and log files land there instead of in the repo.
+// (config.js resolves those paths from the working directory when it is first loaded.)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const REPO_DIR = path.resolve(__dirname, '../..');
+const SANDBOX_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cntp_nodeverse-test-'));
+
+process.chdir(SANDBOX_DIR);
+process.on('exit', () => {
+  process.chdir(REPO_DIR);
+  fs.rmSync(SANDBOX_DIR, { recursive: true, force: true });
+});
+
+module.exports = {
+  REPO_DIR,
+  SANDBOX_DIR
+};
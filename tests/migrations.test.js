@@ -0,0 +1,26 @@
+// tests/migrations.test.js
+require('./helpers/sandbox');
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+
+const { MIGRATIONS } = require('../migrations');
+
+describe('migrations', () => {
+  it('creates a fresh DB without foreign keys to missing tables, even at the baseline', async () => {
+    const db = await open({ filename: ':memory:', driver: sqlite3.Database });
+    try {
+      await MIGRATIONS[0].up(db);
+
+      const tables = (await db.all(`SELECT name FROM sqlite_master WHERE type = 'table'`)).map(row => row.name);
+      for (const table of tables) {
+        for (const foreignKey of await db.all(`PRAGMA foreign_key_list(${table})`)) {
+          assert.ok(tables.includes(foreignKey.table), `${table} references missing table ${foreignKey.table}`);
+        }
+      }
+    } finally {
+      await db.close();
+    }
+  });
+});
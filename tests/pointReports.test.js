@@ -0,0 +1,111 @@
+// tests/pointReports.test.js
+//
+// Daily deltas, stalled keys and top/bottom earners over point_readings, on an in-memory DB
+// with readings placed at fixed offsets from now.
+require('./helpers/sandbox');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { getDailyDeltas, getStalledAccounts, getEarners } = require('../node_handler/pointReports');
+const { keyFingerprint, keyLabel } = require('../node_handler/keyVault');
+const { openMemoryDB, seedKey } = require('./helpers/memoryDb');
+
+const KEYS = [`0x${'a1'.repeat(32)}`, `0x${'b2'.repeat(32)}`, `0x${'c3'.repeat(32)}`];
+const PROXIES = ['10.0.0.1:8080', '10.0.0.2:8080', '10.0.0.3:8080'];
+const label = key => keyLabel(keyFingerprint(key));
+
+describe('point reports', () => {
+  let db;
+  let ids;
+
+  /**
+   * Add a cntp reading of `point` for `key`, recorded at the SQLite datetime expression `at`.
+   */
+  const reading = (key, point, at) => db.run(
+    `INSERT INTO point_readings (key_id, proxy, service, point, recorded_at) VALUES (?, ?, 'cntp', ?, ${at})`,
+    [ids[KEYS.indexOf(key)], PROXIES[KEYS.indexOf(key)], point]
+  );
+  // Fixed hours into a past UTC day, so the buckets don't depend on the time of day the test runs
+  const daysAgo = (days, hour) => `datetime(date('now', '-${days} days'), '+${hour} hours')`;
+  const hoursAgo = hours => `datetime('now', '-${hours} hours')`;
+
+  beforeEach(async () => {
+    db = await openMemoryDB();
+    ids = [];
+    for (const [index, key] of KEYS.entries()) {
+      ids.push(await seedKey(db, { key, proxy: PROXIES[index] }));
+    }
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  describe('getDailyDeltas', () => {
+    it('buckets readings by UTC day and subtracts the previous day\'s last reading', async () => {
+      await reading(KEYS[0], 100, daysAgo(3, 6));
+      await reading(KEYS[0], 150, daysAgo(3, 20));
+      await reading(KEYS[0], 170, daysAgo(2, 1));
+      await reading(KEYS[0], 200, daysAgo(2, 23));
+      await reading(KEYS[0], 260, daysAgo(1, 12));
+
+      const rows = await getDailyDeltas(db, { days: 10 });
+      assert.deepStrictEqual(rows.map(r => [r.point, r.delta]), [[260, 60], [200, 50], [150, 50]]);
+      assert.ok(rows.every(r => r.the_key === label(KEYS[0]) && r.service === 'cntp'));
+      assert.deepStrictEqual(
+        rows.map(r => r.day),
+        [1, 2, 3].map(days => new Date(Date.now() - days * 86400000).toISOString().slice(0, 10))
+      );
+    });
+
+    it('only reports the last `days` days, still measured against older readings', async () => {
+      await reading(KEYS[0], 100, daysAgo(3, 12));
+      await reading(KEYS[0], 130, daysAgo(1, 12));
+
+      const rows = await getDailyDeltas(db, { days: 2 });
+      assert.deepStrictEqual(rows.map(r => r.delta), [30]);
+    });
+  });
+
+  describe('getStalledAccounts', () => {
+    beforeEach(async () => {
+      // Unchanged for 26 hours
+      await reading(KEYS[0], 10, hoursAgo(30));
+      await reading(KEYS[0], 20, hoursAgo(26));
+      await reading(KEYS[0], 20, hoursAgo(2));
+      // Still earning
+      await reading(KEYS[1], 5, hoursAgo(30));
+      await reading(KEYS[1], 9, hoursAgo(1));
+    });
+
+    it('reports keys whose points haven\'t moved for the given hours', async () => {
+      const rows = await getStalledAccounts(db, { hours: 24 });
+      assert.deepStrictEqual(rows.map(r => [r.the_key, r.point]), [[label(KEYS[0]), 20]]);
+    });
+
+    it('leaves out keys that moved within the cutoff', async () => {
+      assert.deepStrictEqual(await getStalledAccounts(db, { hours: 27 }), []);
+    });
+  });
+
+  describe('getEarners', () => {
+    beforeEach(async () => {
+      // Gains over the last 24 hours: 10, 30 and 20, measured from the reading before the window
+      const gains = [10, 30, 20];
+      for (const [index, key] of KEYS.entries()) {
+        await reading(key, 1000, hoursAgo(48));
+        await reading(key, 1000 + gains[index], hoursAgo(1));
+      }
+    });
+
+    it('ranks keys by gain and keeps the `limit` best', async () => {
+      const rows = await getEarners(db, { hours: 24, limit: 2 });
+      assert.deepStrictEqual(rows.map(r => [r.the_key, r.gain]), [[label(KEYS[1]), 30], [label(KEYS[2]), 20]]);
+    });
+
+    it('ranks the lowest gains first with `bottom`', async () => {
+      const rows = await getEarners(db, { hours: 24, limit: 1, bottom: true });
+      assert.deepStrictEqual(rows.map(r => [r.the_key, r.gain]), [[label(KEYS[0]), 10]]);
+    });
+  });
+});
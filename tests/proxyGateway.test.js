@@ -0,0 +1,90 @@
+// tests/proxyGateway.test.js
+require('./helpers/sandbox');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const ProxyGateway = require('../node_handler/proxyGateway');
+const { startProxyStandIn, getThroughProxy } = require('./helpers/proxyStandIn');
+
+const TARGET = 'http://cntp.test/';
+
+describe('ProxyGateway', () => {
+  let gateway;
+  let first;
+  let second;
+
+  before(async () => {
+    gateway = new ProxyGateway({ host: '127.0.0.1', port: 0 });
+    first = await startProxyStandIn({ routes: { [TARGET]: { body: 'first upstream' } }, auth: 'user:secret' });
+    second = await startProxyStandIn({ routes: { [TARGET]: { body: 'second upstream' } } });
+  });
+
+  after(async () => {
+    await gateway.stop();
+    await first.close();
+    await second.close();
+  });
+
+  it('routes a session port to its upstream with the upstream credentials', async () => {
+    const route = await gateway.open(`http://user:secret@${first.proxy}`, 'first');
+    const response = await getThroughProxy(route.url, TARGET);
+
+    assert.deepStrictEqual(response, { status: 200, body: 'first upstream' });
+    const stats = gateway.getStats(route.id);
+    assert.strictEqual(stats.requests, 1);
+    assert.strictEqual(stats.failures, 0);
+    assert.ok(stats.bytesSent > 0);
+    assert.ok(stats.bytesReceived > 0);
+    await gateway.close(route.id);
+  });
+
+  it('switches a route to a new upstream without reopening it', async () => {
+    const route = await gateway.open(`http://user:secret@${first.proxy}`, 'swapped');
+    assert.strictEqual((await getThroughProxy(route.url, TARGET)).body, 'first upstream');
+
+    assert.strictEqual(gateway.setUpstream(route.id, `http://${second.proxy}`), true);
+    assert.strictEqual((await getThroughProxy(route.url, TARGET)).body, 'second upstream');
+    assert.strictEqual(gateway.getStats(route.id).requests, 2);
+    await gateway.close(route.id);
+  });
+
+  it('routes by credentials on the shared port', async () => {
+    const route = await gateway.open(`http://${second.proxy}`, 'by credentials');
+    assert.strictEqual((await getThroughProxy(route.authUrl, TARGET)).body, 'second upstream');
+
+    const wrongPassword = new URL(route.authUrl);
+    wrongPassword.password = 'nope';
+    assert.strictEqual((await getThroughProxy(wrongPassword.href, TARGET)).status, 407);
+    await gateway.close(route.id);
+  });
+
+  it('hands out the traffic of a route per target host, once', async () => {
+    const route = await gateway.open(`http://${second.proxy}`, 'traffic');
+    await getThroughProxy(route.url, TARGET);
+
+    const [traffic, ...others] = gateway.takeTraffic(route.id);
+    assert.deepStrictEqual(others, []);
+    assert.strictEqual(traffic.host, 'cntp.test');
+    assert.ok(traffic.bytesSent > 0 && traffic.bytesReceived > 0);
+    assert.deepStrictEqual(gateway.takeTraffic(route.id), []);
+    await gateway.close(route.id);
+  });
+
+  it('refuses the requests of a suspended route', async () => {
+    const route = await gateway.open(`http://${second.proxy}`, 'suspended');
+    gateway.suspend(route.id, 'bandwidth budget exceeded');
+
+    assert.strictEqual((await getThroughProxy(route.url, TARGET)).status, 403);
+    assert.strictEqual(gateway.getStats(route.id).suspended, 'bandwidth budget exceeded');
+    await gateway.close(route.id);
+  });
+
+  it('stops listening on a closed route', async () => {
+    const route = await gateway.open(`http://${second.proxy}`, 'closed');
+    const stats = await gateway.close(route.id);
+
+    assert.strictEqual(stats.openConnections, 0);
+    assert.strictEqual(gateway.getStats(route.id), null);
+    await assert.rejects(getThroughProxy(route.url, TARGET), { code: 'ECONNREFUSED' });
+  });
+});
@@ -0,0 +1,126 @@
+// tests/requestBlocker.test.js
+//
+// Per-service resource blocking, driven through a stub browser-level CDP client that records
+// the commands sent and lets the test play back DevTools events.
+require('./helpers/sandbox');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+
+const config = require('../node_handler/config');
+const { RequestBlocker, blockingPolicy } = require('../node_handler/requestBlocker');
+
+const EXTENSION_PAGE = 'chrome-extension://blockme/popup.html';
+const LOGIN_PAGE = 'https://app.block.test/login';
+
+/**
+ * Just enough of a chrome-remote-interface client: send() records, events are emitted by the test.
+ */
+function stubClient() {
+  const client = new EventEmitter();
+  client.sent = [];
+  client.send = async (method, params, sessionId) => {
+    client.sent.push({ method, params, sessionId });
+    return {};
+  };
+  client.close = async () => {};
+  return client;
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('RequestBlocker', () => {
+  let client;
+  let blocker;
+
+  before(async () => {
+    config.services.blocky = {
+      login_url: LOGIN_PAGE,
+      extension_url: EXTENSION_PAGE,
+      block: { resourceTypes: ['Image', 'Font'], urlPatterns: ['*tracker.test/*'] },
+      selectors: {}
+    };
+    config.services.unblocked = { login_url: 'https://open.test/', block: false, selectors: {} };
+
+    client = stubClient();
+    blocker = new RequestBlocker(['blocky', 'unblocked']);
+    await blocker.attach(client);
+  });
+
+  after(() => {
+    delete config.services.blocky;
+    delete config.services.unblocked;
+  });
+
+  const page = async (sessionId, targetId, url) => {
+    client.emit('Target.attachedToTarget', {
+      sessionId,
+      targetInfo: { targetId, type: 'page', url },
+      waitingForDebugger: true
+    });
+    await settle();
+  };
+
+  const request = async (sessionId, requestId, url, resourceType) => {
+    client.sent.length = 0;
+    client.emit('Fetch.requestPaused', { requestId, request: { url }, resourceType }, sessionId);
+    await settle();
+    return client.sent.map(c => c.method);
+  };
+
+  it('pauses only the requests some policy could block', async () => {
+    await page('S1', 'T1', EXTENSION_PAGE);
+    const enable = client.sent.find(c => c.method === 'Fetch.enable');
+
+    assert.strictEqual(enable.sessionId, 'S1');
+    assert.deepStrictEqual(enable.params.patterns, [
+      { urlPattern: '*', resourceType: 'Image', requestStage: 'Request' },
+      { urlPattern: '*', resourceType: 'Font', requestStage: 'Request' },
+      { urlPattern: '*tracker.test/*', requestStage: 'Request' }
+    ]);
+    assert.ok(client.sent.some(c => c.method === 'Runtime.runIfWaitingForDebugger' && c.sessionId === 'S1'));
+  });
+
+  it('fails blocked requests on the pages of the service and lets the rest through', async () => {
+    await page('S2', 'T2', 'about:blank');
+    assert.deepStrictEqual(await request('S2', 'r1', 'https://cdn.test/a.png', 'Image'), ['Fetch.continueRequest']);
+
+    // The tab navigates to the service's login page
+    client.emit('Target.targetInfoChanged', { targetInfo: { targetId: 'T2', type: 'page', url: LOGIN_PAGE } });
+    assert.deepStrictEqual(await request('S2', 'r2', 'https://cdn.test/a.png', 'Image'), ['Fetch.failRequest']);
+    assert.deepStrictEqual(await request('S2', 'r3', 'https://tracker.test/t.js', 'Script'), ['Fetch.failRequest']);
+    assert.deepStrictEqual(await request('S2', 'r4', 'https://app.block.test/app.js', 'Script'), ['Fetch.continueRequest']);
+  });
+
+  it('lets the extension\'s own files through', async () => {
+    assert.deepStrictEqual(await request('S1', 'r5', 'chrome-extension://blockme/icon.png', 'Image'), ['Fetch.continueRequest']);
+    assert.deepStrictEqual(await request('S1', 'r6', 'data:font/woff2;base64,AAAA', 'Font'), ['Fetch.continueRequest']);
+  });
+
+  it('reports the blocked requests per service once, with the estimated bytes saved', async () => {
+    // The image and the tracker script above, and this font
+    await request('S1', 'r7', 'https://cdn.test/font.woff2', 'Font');
+    const sizes = config.BLOCKED_REQUEST_BYTES;
+    const savedBytes = sizes.Image + sizes.default + sizes.Font;
+
+    assert.deepStrictEqual(blocker.takeBlocked(), [{ service: 'blocky', requests: 3, savedBytes }]);
+    assert.deepStrictEqual(blocker.takeBlocked(), []);
+    assert.deepStrictEqual(await blocker.close(), { requests: 3, savedBytes });
+  });
+});
+
+describe('blockingPolicy', () => {
+  it('uses the default policy unless the service has its own or opts out', () => {
+    assert.deepStrictEqual(blockingPolicy('cntp'), {
+      resourceTypes: config.BLOCKED_RESOURCE_TYPES,
+      urlPatterns: config.BLOCKED_URL_PATTERNS
+    });
+
+    config.services.cntp.block = false;
+    try {
+      assert.strictEqual(blockingPolicy('cntp'), null);
+    } finally {
+      delete config.services.cntp.block;
+    }
+  });
+});
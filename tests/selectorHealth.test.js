@@ -0,0 +1,114 @@
+// tests/selectorHealth.test.js
+//
+// check-selectors drift detection and fallback selector lists, against a stub browser whose
+// pages are just the set of selectors they contain.
+require('./helpers/sandbox');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const config = require('../node_handler/config');
+const { checkServiceSelectors } = require('../node_handler/selectorHealth');
+const { waitForElement, checkElementExsist } = require('../node_handler/automationHelpers');
+const { SelectorNotFoundError } = require('../node_handler/errors');
+
+const LOGIN_URL = 'https://drift.test/login';
+const EXTENSION_URL = 'chrome-extension://drift/popup.html';
+
+/**
+ * Browser whose page at each URL contains exactly the selectors listed for it.
+ */
+function stubDriver(pages) {
+  let url = 'about:blank';
+  return {
+    visited: [],
+    async get(target) {
+      this.visited.push(target);
+      url = target in pages ? target : 'chrome-error://chromewebdata/';
+    },
+    async getCurrentUrl() { return url; },
+    async sleep() {},
+    async findElements(locator) {
+      return (pages[url] || []).includes(locator.value) ? [{ selector: locator.value }] : [];
+    },
+    async wait(condition, timeout) {
+      const element = await condition(this);
+      if (!element) throw new Error(`Waited ${timeout}ms`);
+      return element;
+    }
+  };
+}
+
+describe('checkServiceSelectors', () => {
+  before(() => {
+    config.services.drift = {
+      login_url: LOGIN_URL,
+      extension_url: EXTENSION_URL,
+      selectors: {
+        username: '#user',
+        loginButton: ['//button[@id="login"]', '//form//button'],
+        balance: ['#balance', '.balance', '[data-balance]'],
+        logout: '#logout'
+      }
+    };
+  });
+
+  after(() => {
+    delete config.services.drift;
+  });
+
+  it('reports each selector as ok, fallback or missing', async () => {
+    const driver = stubDriver({
+      [LOGIN_URL]: ['#user', '//form//button'],
+      [EXTENSION_URL]: ['[data-balance]']
+    });
+    const rows = await checkServiceSelectors(driver, 'drift', { settleDelay: 0 });
+
+    assert.deepStrictEqual(rows, [
+      { service: 'drift', selector: 'username', status: 'ok', page: 'login_url', fallback: null },
+      { service: 'drift', selector: 'loginButton', status: 'fallback', page: 'login_url', fallback: 1 },
+      { service: 'drift', selector: 'balance', status: 'fallback', page: 'extension_url', fallback: 2 },
+      { service: 'drift', selector: 'logout', status: 'missing', page: null, fallback: null }
+    ]);
+  });
+
+  it('prefers the page where an earlier fallback matches', async () => {
+    const driver = stubDriver({
+      [LOGIN_URL]: ['[data-balance]'],
+      [EXTENSION_URL]: ['#balance']
+    });
+    const rows = await checkServiceSelectors(driver, 'drift', { settleDelay: 0 });
+    const balance = rows.find(r => r.selector === 'balance');
+
+    assert.strictEqual(balance.status, 'ok');
+    assert.strictEqual(balance.page, 'extension_url');
+  });
+
+  it('skips pages that fail to load', async () => {
+    const driver = stubDriver({ [EXTENSION_URL]: ['#user'] });
+    const rows = await checkServiceSelectors(driver, 'drift', { settleDelay: 0 });
+
+    assert.deepStrictEqual(driver.visited, [LOGIN_URL, EXTENSION_URL]);
+    assert.strictEqual(rows.find(r => r.selector === 'username').page, 'extension_url');
+    assert.strictEqual(rows.filter(r => r.status === 'missing').length, 3);
+  });
+});
+
+describe('fallback selector lists', () => {
+  const driver = stubDriver({ [LOGIN_URL]: ['.balance'] });
+
+  before(() => driver.get(LOGIN_URL));
+
+  it('resolves the first fallback present on the page', async () => {
+    const element = await waitForElement(driver, ['#balance', '.balance', '[data-balance]'], 10);
+    assert.strictEqual(element.selector, '.balance');
+    assert.strictEqual(await checkElementExsist(driver, ['#balance', '.balance'], 10), true);
+  });
+
+  it('names every fallback when none matches', async () => {
+    assert.strictEqual(await checkElementExsist(driver, ['#balance', '[data-balance]'], 10), false);
+    await assert.rejects(
+      waitForElement(driver, ['#balance', '[data-balance]'], 10),
+      error => error instanceof SelectorNotFoundError && error.message.includes('#balance | [data-balance]')
+    );
+  });
+});
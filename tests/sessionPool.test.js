@@ -0,0 +1,31 @@
+// tests/sessionPool.test.js
+//
+// Dropping the queued tasks of a SessionPool, as shutdown() does.
+require('./helpers/sandbox');
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const SessionPool = require('../node_handler/sessionPool');
+
+describe('SessionPool.cancel', () => {
+  it('drops the queued tasks and ends the stagger wait without running them', async () => {
+    const pool = new SessionPool({ maxConcurrent: 5, minFreeMemoryMB: 0, maxCpuLoad: 0, launchDelay: 60000 });
+    const started = [];
+
+    const first = pool.submit('first', async () => started.push('first'));
+    const second = pool.submit('second', async () => started.push('second'));
+    // The second task is held by the 60s stagger
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(started, ['first']);
+
+    const begun = Date.now();
+    assert.strictEqual(pool.cancel(), 1);
+    assert.strictEqual(await second, undefined);
+    await first;
+
+    assert.ok(Date.now() - begun < 1000);
+    assert.deepStrictEqual(started, ['first']);
+    assert.strictEqual(pool.queue.length, 0);
+    assert.strictEqual(pool.wake, null);
+  });
+});
@@ -0,0 +1,114 @@
+// tests/settings.test.js
+//
+// Resolving settings from the defaults, a settings file and environment variables.
+require('./helpers/sandbox');
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { SCHEMA, envName, loadSettings, formatSettings } = require('../node_handler/settings');
+const { ConfigError } = require('../node_handler/errors');
+
+function writeSettings(name, content) {
+  const file = path.resolve(name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+describe('loadSettings', () => {
+  it('uses the defaults without a file or environment', () => {
+    const { settings, sources } = loadSettings({ file: null, env: {} });
+
+    assert.strictEqual(settings.check_interval, SCHEMA.check_interval.default);
+    assert.deepStrictEqual(settings.timeouts, {
+      element: 60000, page: 60000, action: 10000, loginCheck: 10000, loginConfirm: 20000, optionalElement: 2000
+    });
+    assert.deepStrictEqual(sources, {});
+  });
+
+  it('lets the file override the defaults and the environment override the file', () => {
+    const file = writeSettings('settings.yaml', [
+      'check_interval: 600000',
+      'headless: false',
+      'timeouts:',
+      '  page: 90000',
+      'default_services: [cntp, gradient]'
+    ].join('\n'));
+    const { settings, sources } = loadSettings({
+      file,
+      env: { CHECK_INTERVAL: '720000', TIMEOUTS_LOGIN_CHECK: '20000', DEFAULT_SERVICES: 'bless, toggle', HEADLESS: '' }
+    });
+
+    assert.strictEqual(settings.check_interval, 720000);
+    assert.strictEqual(settings.headless, false);
+    assert.deepStrictEqual(settings.timeouts, {
+      element: 60000, page: 90000, action: 10000, loginCheck: 20000, loginConfirm: 20000, optionalElement: 2000
+    });
+    assert.deepStrictEqual(settings.default_services, ['bless', 'toggle']);
+    assert.deepStrictEqual(sources, {
+      'timeouts.page': 'settings.yaml',
+      'timeouts.loginCheck': 'env TIMEOUTS_LOGIN_CHECK',
+      check_interval: 'env CHECK_INTERVAL',
+      default_services: 'env DEFAULT_SERVICES',
+      headless: 'settings.yaml'
+    });
+  });
+
+  it('reads JSON settings files', () => {
+    const file = writeSettings('settings.json', JSON.stringify({ proxy_chunk_size: 25, blocked_request_bytes: { default: 1024 } }));
+    const { settings } = loadSettings({ file, env: {} });
+
+    assert.strictEqual(settings.proxy_chunk_size, 25);
+    assert.deepStrictEqual(settings.blocked_request_bytes, { default: 1024 });
+  });
+
+  it('names every invalid or unknown setting and where it came from', () => {
+    const file = writeSettings('broken.yaml', [
+      'max_login_retries: 0',
+      'chek_interval: 600000',
+      'exit_ip_url: api.ipify.org',
+      'timeouts:',
+      '  page: soon'
+    ].join('\n'));
+
+    assert.throws(
+      () => loadSettings({ file, env: { HEADLESS: 'maybe', DASHBOARD_PORT: '70000' } }),
+      error => {
+        assert.ok(error instanceof ConfigError);
+        assert.deepStrictEqual(error.message.split('\n').slice(1).map(line => line.trim()), [
+          'chek_interval (broken.yaml): unknown setting',
+          'headless (env HEADLESS): expected true or false, got "maybe"',
+          'timeouts.page (broken.yaml): expected an integer >= 0, got "soon"',
+          'max_login_retries (broken.yaml): expected an integer >= 1, got 0',
+          'dashboard_port (env DASHBOARD_PORT): expected an integer from 0 to 65535, got 70000',
+          'exit_ip_url (broken.yaml): expected an http(s) URL, got "api.ipify.org"'
+        ]);
+        return true;
+      }
+    );
+  });
+
+  it('reports a settings file that is missing or not YAML', () => {
+    assert.throws(() => loadSettings({ file: path.resolve('missing.yaml'), env: {} }), /missing\.yaml: no such file/);
+    const file = writeSettings('list.yaml', '- 1\n- 2\n');
+    assert.throws(() => loadSettings({ file, env: {} }), /list\.yaml: expected a map of settings/);
+  });
+});
+
+describe('formatSettings', () => {
+  it('prints YAML that loads back to the same settings, commenting overridden values', () => {
+    const loaded = loadSettings({ file: null, env: { STAGGER_DELAY: '1000', BLOCKED_RESOURCE_TYPES: 'Image' } });
+    const text = formatSettings(loaded);
+
+    assert.match(text, /^stagger_delay: 1000 # env STAGGER_DELAY$/m);
+    assert.match(text, /^blocked_resource_types: # env BLOCKED_RESOURCE_TYPES$/m);
+    const file = writeSettings('printed.yaml', text);
+    assert.deepStrictEqual(loadSettings({ file, env: {} }).settings, loaded.settings);
+  });
+
+  it('derives environment variable names from setting names', () => {
+    assert.strictEqual(envName(['bandwidth_budget_mb']), 'BANDWIDTH_BUDGET_MB');
+    assert.strictEqual(envName(['timeouts', 'loginCheck']), 'TIMEOUTS_LOGIN_CHECK');
+  });
+});
@@ -0,0 +1,93 @@
+// tests/testProxy.test.js
+require('./helpers/sandbox');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const log4js = require('log4js');
+
+const { testProxy } = require('../proxy_handler/worker');
+const { startProxyStandIn, closedPort } = require('./helpers/proxyStandIn');
+
+const EXIT_IP_URL = 'http://ip.test/';
+const TARGETS = [
+  { service: 'cntp', probes: [{ url: 'http://cntp.test/', expectStatus: 200 }] },
+  { service: 'bless', probes: [{ url: 'http://bless.test/', expectBody: 'Bless' }] }
+];
+const ROUTES = {
+  [EXIT_IP_URL]: { body: '{"ip":"203.0.113.7"}' },
+  'http://cntp.test/': { body: 'CONET' },
+  'http://bless.test/': { body: 'maintenance' }
+};
+
+describe('testProxy', () => {
+  let standIn;
+  let authStandIn;
+
+  before(async () => {
+    standIn = await startProxyStandIn({ routes: ROUTES });
+    authStandIn = await startProxyStandIn({ routes: ROUTES, auth: 'user:secret' });
+  });
+
+  after(async () => {
+    await standIn.close();
+    await authStandIn.close();
+  });
+
+  it('sorts services by whether their probes pass and reports the exit IP', async () => {
+    const result = await testProxy(standIn.proxy, TARGETS, { exitIpUrl: EXIT_IP_URL });
+
+    assert.strictEqual(result.exitIp, '203.0.113.7');
+    assert.deepStrictEqual(result.success, ['cntp']);
+    assert.deepStrictEqual(result.fail, ['bless']);
+    assert.deepStrictEqual(
+      result.checks.map(({ service, ok, statusCode, errorClass }) => ({ service, ok, statusCode, errorClass })),
+      [
+        { service: 'cntp', ok: true, statusCode: 200, errorClass: null },
+        { service: 'bless', ok: false, statusCode: 200, errorClass: 'body_mismatch' }
+      ]
+    );
+    assert.ok(result.checks.every(check => Number.isInteger(check.latencyMs)));
+    assert.ok(standIn.requests.includes('http://cntp.test/'));
+  });
+
+  it('classifies an unexpected status', async () => {
+    const [target] = TARGETS;
+    const result = await testProxy(standIn.proxy, [{ ...target, probes: [{ url: 'http://unknown.test/' }] }], { exitIpUrl: EXIT_IP_URL });
+
+    assert.deepStrictEqual(result.fail, ['cntp']);
+    assert.strictEqual(result.checks[0].statusCode, 502);
+    assert.strictEqual(result.checks[0].errorClass, 'bad_status');
+  });
+
+  it('sends the proxy credentials', async () => {
+    const withAuth = await testProxy(`${authStandIn.proxy}:user:secret`, TARGETS.slice(0, 1), { exitIpUrl: EXIT_IP_URL });
+    assert.deepStrictEqual(withAuth.success, ['cntp']);
+
+    const withoutAuth = await testProxy(authStandIn.proxy, TARGETS.slice(0, 1), { exitIpUrl: EXIT_IP_URL });
+    assert.strictEqual(withoutAuth.exitIp, null);
+    assert.strictEqual(withoutAuth.checks[0].statusCode, 407);
+    assert.strictEqual(withoutAuth.checks[0].errorClass, 'proxy_auth');
+  });
+
+  it('reports a proxy that refuses connections', async () => {
+    const result = await testProxy(await closedPort(), TARGETS, { exitIpUrl: EXIT_IP_URL });
+
+    assert.strictEqual(result.exitIp, null);
+    assert.deepStrictEqual(result.fail, ['cntp', 'bless']);
+    assert.ok(result.checks.every(check => check.errorClass === 'refused'));
+  });
+
+  it('keeps the proxy password out of its log lines', async () => {
+    const lines = [];
+    const { prototype } = log4js.getLogger().constructor;
+    const { log } = prototype;
+    prototype.log = (level, ...args) => lines.push(args.join(' '));
+    try {
+      await testProxy(`${await closedPort()}:user:s3cretpw`, TARGETS, { exitIpUrl: EXIT_IP_URL });
+    } finally {
+      prototype.log = log;
+    }
+
+    assert.ok(lines.some(line => line.includes('user:***@')));
+    assert.ok(lines.every(line => !line.includes('s3cretpw')));
+  });
+});